@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// 命令行：qrcode decode <文件…> / qrcode encode <文本|-> [-o out.svg]
+// 退出码：0 成功；1 没有识别到二维码或编码失败；2 参数错误；3 读写文件失败或图片格式不支持
+var fs = require('fs');
+var path = require('path');
+var QRCode = require('./qrcode.node.js');
+
+var USAGE = [
+  'usage:',
+  '  qrcode decode <file...> [--all] [--try-harder] [--json] [--raw WxH]',
+  '  qrcode encode <text|-> [-o out.svg|out.png] [--format svg|png|terminal]',
+  '                [-l L|M|Q|H] [-v 0-40] [--eci charset|number]',
+  '                [--module N] [--margin N] [--foreground #rrggbb] [--background #rrggbb] [--invert]',
+  '',
+  '  decode   print the text of every QR code found, one per line ("-" reads stdin)',
+  '  encode   write an SVG or PNG file, or print the symbol to the terminal',
+  '',
+  'exit codes: 0 ok, 1 no QR code found / encode failed, 2 usage error, 3 I/O or image format error'
+].join('\n');
+
+var OPTIONS = {
+  '--all': 'all',
+  '--try-harder': 'tryHarder',
+  '--json': 'json',
+  '--invert': 'invert',
+  '--raw': '=raw',
+  '-o': '=output',
+  '--output': '=output',
+  '--format': '=format',
+  '-l': '=level',
+  '--level': '=level',
+  '-v': '=version',
+  '--eci': '=eci',
+  '--module': '=module',
+  '--margin': '=margin',
+  '--foreground': '=foreground',
+  '--background': '=background'
+};
+
+function CLIError(message, code){
+  this.message = message;
+  this.code = code;
+}
+
+function usageError(message){
+  return new CLIError(message + '\n\n' + USAGE, 2);
+}
+
+function parseArgs(argv){
+  var args = {files: []};
+
+  for(var i = 0; i < argv.length; i++){
+    var arg = argv[i];
+    var value = null;
+    var eq = arg.indexOf('=');
+
+    if(arg.length > 1 && arg.charAt(0) === '-' && eq > 0){
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+
+    var name = OPTIONS[arg];
+
+    if(!name){
+      if(arg.length > 1 && arg.charAt(0) === '-'){throw usageError('unknown option: ' + arg);}
+
+      args.files.push(arg);
+      continue;
+    }
+
+    if(name.charAt(0) === '='){
+      if(value === null){
+        if(i + 1 >= argv.length){throw usageError('missing value for ' + arg);}
+
+        value = argv[++i];
+      }
+
+      args[name.slice(1)] = value;
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+}
+
+function parseInteger(value, name, min, max){
+  if(value === void 0){return void 0;}
+
+  var number = Number(value);
+
+  if(!/^\d+$/.test(value) || number < min || number > max){
+    throw usageError('illegal ' + name + ': ' + value);
+  }
+
+  return number;
+}
+
+function readInput(file){
+  try {
+    return fs.readFileSync(file === '-' ? 0 : file);
+  } catch(e){
+    throw new CLIError(file + ': ' + e.message, 3);
+  }
+}
+
+function readPixels(file, args){
+  var buffer = readInput(file);
+
+  if(args.raw){
+    var size = /^(\d+)x(\d+)$/i.exec(args.raw);
+    var width = size ? Number(size[1]) : 0;
+    var height = size ? Number(size[2]) : 0;
+
+    if(!width || !height){throw usageError('illegal raw size: ' + args.raw);}
+
+    if(buffer.length !== width * height * 4){
+      throw new CLIError(file + ': expected ' + width * height * 4 + ' bytes of RGBA data, got ' + buffer.length, 3);
+    }
+
+    return {data: new Uint8ClampedArray(buffer.buffer, buffer.byteOffset, buffer.length), width: width, height: height};
+  }
+
+  try {
+    return QRCode.readImage(buffer);
+  } catch(e){
+    throw new CLIError(file + ': ' + e, 3);
+  }
+}
+
+function runDecode(args){
+  if(!args.files.length){throw usageError('no input file');}
+
+  var output = [];
+  var code = 0;
+
+  args.files.forEach(function(file){
+    var results;
+
+    try {
+      results = QRCode.decode(readPixels(file, args), {all: args.all, tryHarder: args.tryHarder});
+    } catch(e){
+      if(!(e instanceof CLIError) || e.code !== 3){throw e;}
+
+      process.stderr.write(e.message + '\n');
+      code = 3;
+      return;
+    }
+
+    results = args.all ? results : results ? [results] : [];
+
+    if(!results.length){
+      code = code || 1;
+      args.json || process.stderr.write(file + ': no QR code found\n');
+    }
+
+    if(args.json){
+      output.push({file: file, results: results});
+      return;
+    }
+
+    results.forEach(function(result){
+      output.push(args.files.length > 1 ? file + ': ' + result.data : result.data);
+    });
+  });
+
+  if(args.json){
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  } else if(output.length){
+    process.stdout.write(output.join('\n') + '\n');
+  }
+
+  return code;
+}
+
+function runEncode(args){
+  if(args.files.length !== 1){throw usageError(args.files.length ? 'too many arguments' : 'no text to encode');}
+
+  var text = args.files[0] === '-' ? readInput('-').toString('utf8').replace(/\r?\n$/, '') : args.files[0];
+  var format = args.format || (args.output && args.output !== '-' ? path.extname(args.output).slice(1).toLowerCase() : 'terminal');
+  var level = (args.level || 'M').toUpperCase();
+  var moduleSize = parseInteger(args.module, 'module size', 1, 100);
+  var margin = parseInteger(args.margin, 'margin', 0, 1000);
+  var encoder;
+  var data;
+
+  if(['svg', 'png', 'terminal'].indexOf(format) < 0){throw usageError('unsupported format: ' + format);}
+  if(!/^[LMQH]$/.test(level)){throw usageError('illegal error correction level: ' + args.level);}
+
+  try {
+    encoder = QRCode.encode(text, {level: level, version: parseInteger(args.version, 'version', 0, 40), eci: args.eci});
+  } catch(e){
+    if(e instanceof CLIError){throw e;}
+
+    // 不认识的 ECI 编号或字符集名称是参数错误，其余（如内容超出容量、字符无法用该字符集编码）才是编码失败
+    if(/^unsupported (eci|charset)/.test(e)){throw usageError(String(e));}
+
+    throw new CLIError('encode failed: ' + e, 1);
+  }
+
+  try {
+    switch(format){
+      case 'svg':
+        data = QRCode.toSVG(encoder, {moduleSize: moduleSize, margin: margin, foreground: args.foreground, background: args.background});
+        break;
+      case 'png':
+        data = QRCode.toPNG(encoder, {moduleSize: moduleSize, margin: margin, foreground: args.foreground, background: args.background});
+        break;
+      default:
+        data = QRCode.toTerminal(encoder, {margin: margin, invert: args.invert});
+    }
+  } catch(e){
+    throw usageError(String(e));
+  }
+
+  if(!args.output || args.output === '-'){
+    process.stdout.write(data);
+    return 0;
+  }
+
+  try {
+    fs.writeFileSync(args.output, data);
+  } catch(e){
+    throw new CLIError(args.output + ': ' + e.message, 3);
+  }
+
+  return 0;
+}
+
+function main(argv){
+  var command = argv[0];
+
+  try {
+    if(command === '-h' || command === '--help' || command === 'help'){
+      process.stdout.write(USAGE + '\n');
+      return 0;
+    }
+
+    if(command !== 'decode' && command !== 'encode'){
+      throw usageError(command ? 'unknown command: ' + command : 'no command');
+    }
+
+    var args = parseArgs(argv.slice(1));
+
+    return command === 'decode' ? runDecode(args) : runEncode(args);
+  } catch(e){
+    if(!(e instanceof CLIError)){throw e;}
+
+    process.stderr.write('qrcode: ' + e.message + '\n');
+    return e.code;
+  }
+}
+
+if(require.main === module){
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = main;
@@ -0,0 +1,1008 @@
+// Node 下读写图片，不依赖 canvas：PNG / GIF / JPEG 解码成 RGBA，二维码编码成 PNG
+// readImage(buffer) 返回 {data: Uint8ClampedArray, width, height}，与 ImageData 结构相同
+var zlib = require('zlib');
+
+function readImage(buffer){
+  if(buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a){
+    return readPNG(buffer);
+  }
+
+  if(buffer.length > 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))){
+    return readGIF(buffer);
+  }
+
+  if(buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8){
+    return readJPEG(buffer);
+  }
+
+  throw 'unsupported image format';
+}
+
+// ---------- PNG ----------
+
+var PNG_CHANNELS = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4};
+
+// Adam7 隔行扫描的 7 遍：起始列、起始行、列间隔、行间隔
+var ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+function readPNG(buffer){
+  var offset = 8;
+  var header = null;
+  var palette = null;
+  var transparency = null;
+  var chunks = [];
+
+  while(offset + 8 <= buffer.length){
+    var length = buffer.readUInt32BE(offset);
+    var type = buffer.toString('latin1', offset + 4, offset + 8);
+    var body = buffer.subarray(offset + 8, offset + 8 + length);
+
+    offset += length + 12;
+
+    if(type === 'IHDR'){
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if(type === 'PLTE'){
+      palette = body;
+    } else if(type === 'tRNS'){
+      transparency = body;
+    } else if(type === 'IDAT'){
+      chunks.push(body);
+    } else if(type === 'IEND'){
+      break;
+    }
+  }
+
+  if(!header || !PNG_CHANNELS[header.colorType] || !chunks.length){throw 'invalid png';}
+  if(header.colorType === 3 && !palette){throw 'invalid png: missing palette';}
+
+  var raw = zlib.inflateSync(Buffer.concat(chunks));
+  var width = header.width;
+  var height = header.height;
+  var data = new Uint8ClampedArray(width * height * 4);
+
+  if(header.interlace){
+    var position = 0;
+
+    ADAM7.forEach(function(pass){
+      var passWidth = Math.ceil((width - pass[0]) / pass[2]);
+      var passHeight = Math.ceil((height - pass[1]) / pass[3]);
+
+      if(passWidth <= 0 || passHeight <= 0){return;}
+
+      position = readPNGPass(raw, position, header, palette, transparency, passWidth, passHeight, function(x, y){
+        return ((pass[1] + y * pass[3]) * width + pass[0] + x * pass[2]) * 4;
+      }, data);
+    });
+  } else {
+    readPNGPass(raw, 0, header, palette, transparency, width, height, function(x, y){
+      return (y * width + x) * 4;
+    }, data);
+  }
+
+  return {data: data, width: width, height: height};
+}
+
+function readPNGPass(raw, position, header, palette, transparency, width, height, getOffset, data){
+  var channels = PNG_CHANNELS[header.colorType];
+  var bitDepth = header.bitDepth;
+  var bytesPerPixel = Math.max(1, channels * bitDepth / 8);
+  var stride = Math.ceil(width * channels * bitDepth / 8);
+  var previous = new Uint8Array(stride);
+  var line = new Uint8Array(stride);
+  var max = (1 << bitDepth) - 1;
+
+  for(var y = 0; y < height; y++){
+    var filter = raw[position++];
+
+    for(var i = 0; i < stride; i++){
+      var left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      var up = previous[i];
+      var upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      var value = raw[position + i];
+
+      switch(filter){
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+      }
+
+      line[i] = value;
+    }
+
+    position += stride;
+
+    for(var x = 0; x < width; x++){
+      var samples = [];
+
+      for(var c = 0; c < channels; c++){
+        samples.push(readSample(line, (x * channels + c) * bitDepth, bitDepth));
+      }
+
+      writePNGPixel(data, getOffset(x, y), samples, header.colorType, bitDepth, max, palette, transparency);
+    }
+
+    var swap = previous;
+    previous = line;
+    line = swap;
+  }
+
+  return position;
+}
+
+function paeth(a, b, c){
+  var p = a + b - c;
+  var pa = Math.abs(p - a);
+  var pb = Math.abs(p - b);
+  var pc = Math.abs(p - c);
+
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function readSample(line, bit, bitDepth){
+  if(bitDepth === 8){return line[bit >> 3];}
+  if(bitDepth === 16){return (line[bit >> 3] << 8) | line[(bit >> 3) + 1];}
+
+  return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+}
+
+function writePNGPixel(data, offset, samples, colorType, bitDepth, max, palette, transparency){
+  var scale = function(value){
+    return bitDepth === 8 ? value : Math.round(value * 255 / max);
+  };
+  var alpha = 255;
+
+  switch(colorType){
+    case 0:
+      data[offset] = data[offset + 1] = data[offset + 2] = scale(samples[0]);
+      transparency && transparency.length >= 2 && samples[0] === transparency.readUInt16BE(0) && (alpha = 0);
+      break;
+    case 2:
+      data[offset] = scale(samples[0]);
+      data[offset + 1] = scale(samples[1]);
+      data[offset + 2] = scale(samples[2]);
+      transparency && transparency.length >= 6 && samples[0] === transparency.readUInt16BE(0)
+        && samples[1] === transparency.readUInt16BE(2) && samples[2] === transparency.readUInt16BE(4) && (alpha = 0);
+      break;
+    case 3:
+      data[offset] = palette[samples[0] * 3];
+      data[offset + 1] = palette[samples[0] * 3 + 1];
+      data[offset + 2] = palette[samples[0] * 3 + 2];
+      transparency && samples[0] < transparency.length && (alpha = transparency[samples[0]]);
+      break;
+    case 4:
+      data[offset] = data[offset + 1] = data[offset + 2] = scale(samples[0]);
+      alpha = scale(samples[1]);
+      break;
+    case 6:
+      data[offset] = scale(samples[0]);
+      data[offset + 1] = scale(samples[1]);
+      data[offset + 2] = scale(samples[2]);
+      alpha = scale(samples[3]);
+      break;
+  }
+
+  data[offset + 3] = alpha;
+}
+
+// ---------- GIF（只取第一帧） ----------
+
+function readGIF(buffer){
+  var width = buffer.readUInt16LE(6);
+  var height = buffer.readUInt16LE(8);
+  var flags = buffer[10];
+  var offset = 13;
+  var globalPalette = null;
+  var transparentIndex = -1;
+
+  if(flags & 0x80){
+    globalPalette = buffer.subarray(offset, offset + 3 * (1 << ((flags & 7) + 1)));
+    offset += globalPalette.length;
+  }
+
+  while(offset < buffer.length){
+    var block = buffer[offset++];
+
+    if(block === 0x21){
+      var label = buffer[offset++];
+
+      if(label === 0xf9 && buffer[offset] >= 4){
+        buffer[offset + 1] & 1 && (transparentIndex = buffer[offset + 4]);
+      }
+
+      offset = skipSubBlocks(buffer, offset);
+    } else if(block === 0x2c){
+      return readGIFFrame(buffer, offset, width, height, globalPalette, transparentIndex);
+    } else {
+      break;
+    }
+  }
+
+  throw 'invalid gif: no image';
+}
+
+function skipSubBlocks(buffer, offset){
+  while(offset < buffer.length && buffer[offset]){
+    offset += buffer[offset] + 1;
+  }
+
+  return offset + 1;
+}
+
+function readGIFFrame(buffer, offset, width, height, palette, transparentIndex){
+  var left = buffer.readUInt16LE(offset);
+  var top = buffer.readUInt16LE(offset + 2);
+  var frameWidth = buffer.readUInt16LE(offset + 4);
+  var frameHeight = buffer.readUInt16LE(offset + 6);
+  var flags = buffer[offset + 8];
+
+  offset += 9;
+
+  if(flags & 0x80){
+    palette = buffer.subarray(offset, offset + 3 * (1 << ((flags & 7) + 1)));
+    offset += palette.length;
+  }
+
+  if(!palette){throw 'invalid gif: missing palette';}
+
+  var minCodeSize = buffer[offset++];
+  var blocks = [];
+
+  while(offset < buffer.length && buffer[offset]){
+    blocks.push(buffer.subarray(offset + 1, offset + 1 + buffer[offset]));
+    offset += buffer[offset] + 1;
+  }
+
+  var indices = decodeLZW(Buffer.concat(blocks), minCodeSize, frameWidth * frameHeight);
+  var rows = flags & 0x40 ? getInterlacedRows(frameHeight) : null;
+  var data = new Uint8ClampedArray(width * height * 4).fill(255);
+
+  for(var i = 0; i < frameWidth * frameHeight; i++){
+    var index = indices[i];
+    var x = left + i % frameWidth;
+    var y = top + (rows ? rows[(i / frameWidth) | 0] : (i / frameWidth) | 0);
+
+    if(index === transparentIndex || x >= width || y >= height){continue;}
+
+    var target = (y * width + x) * 4;
+
+    data[target] = palette[index * 3];
+    data[target + 1] = palette[index * 3 + 1];
+    data[target + 2] = palette[index * 3 + 2];
+  }
+
+  return {data: data, width: width, height: height};
+}
+
+// 隔行 GIF 按 0,8,16…／4,12…／2,6…／1,3… 的顺序存行，返回第 n 个存储行对应的实际行号
+function getInterlacedRows(height){
+  var rows = [];
+
+  [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(function(pass){
+    for(var y = pass[0]; y < height; y += pass[1]){
+      rows.push(y);
+    }
+  });
+
+  return rows;
+}
+
+function decodeLZW(data, minCodeSize, pixelCount){
+  var clearCode = 1 << minCodeSize;
+  var endCode = clearCode + 1;
+  var output = new Uint8Array(pixelCount);
+  var prefixes = new Int16Array(4096);
+  var suffixes = new Uint8Array(4096);
+  var firsts = new Uint8Array(4096);
+  var stack = new Uint8Array(4097);
+  var codeSize = minCodeSize + 1;
+  var nextCode = endCode + 1;
+  var previous = -1;
+  var bits = 0;
+  var bitCount = 0;
+  var position = 0;
+  var written = 0;
+
+  for(var i = 0; i < clearCode; i++){
+    suffixes[i] = firsts[i] = i;
+    prefixes[i] = -1;
+  }
+
+  while(written < pixelCount){
+    while(bitCount < codeSize){
+      if(position >= data.length){return output;}
+
+      bits |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+
+    var code = bits & ((1 << codeSize) - 1);
+
+    bits >>= codeSize;
+    bitCount -= codeSize;
+
+    if(code === clearCode){
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+
+    if(code === endCode){break;}
+
+    if(previous < 0){
+      output[written++] = suffixes[code];
+      previous = code;
+      continue;
+    }
+
+    var current = code;
+    var top = 0;
+
+    if(code >= nextCode){
+      stack[top++] = firsts[previous];
+      current = previous;
+    }
+
+    while(current >= 0){
+      stack[top++] = suffixes[current];
+      current = prefixes[current];
+    }
+
+    while(top > 0 && written < pixelCount){
+      output[written++] = stack[--top];
+    }
+
+    if(nextCode < 4096){
+      prefixes[nextCode] = previous;
+      suffixes[nextCode] = firsts[code < nextCode ? code : previous];
+      firsts[nextCode] = firsts[previous];
+      nextCode++;
+      nextCode === 1 << codeSize && codeSize < 12 && codeSize++;
+    }
+
+    previous = code;
+  }
+
+  return output;
+}
+
+// ---------- JPEG（基线和渐进式，Huffman 编码） ----------
+
+var ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+var IDCT_TABLE = (function(){
+  var table = new Float32Array(64);
+
+  for(var u = 0; u < 8; u++){
+    for(var x = 0; x < 8; x++){
+      table[u * 8 + x] = (u ? 1 : Math.SQRT1_2) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+    }
+  }
+
+  return table;
+}());
+
+function readJPEG(buffer){
+  var offset = 2;
+  var frame = null;
+  var adobe = null;
+  var resetInterval = 0;
+  var quantizationTables = [];
+  var dcTables = [];
+  var acTables = [];
+
+  var readUint16 = function(){
+    var value = buffer.readUInt16BE(offset);
+    offset += 2;
+    return value;
+  };
+
+  while(offset < buffer.length){
+    if(buffer[offset] !== 0xff){
+      offset++;
+      continue;
+    }
+
+    var marker = buffer[offset + 1];
+    offset += 2;
+
+    if(marker === 0xff){
+      offset--;
+      continue;
+    }
+
+    if(marker === 0xd9){break;}
+    if(marker === 0xd8 || marker >= 0xd0 && marker <= 0xd7 || marker === 0x01){continue;}
+
+    var length = readUint16();
+    var end = offset + length - 2;
+
+    switch(marker){
+      case 0xdb:
+        while(offset < end){
+          var spec = buffer[offset++];
+          var table = new Uint16Array(64);
+
+          for(var j = 0; j < 64; j++){
+            table[ZIGZAG[j]] = spec >> 4 ? readUint16() : buffer[offset++];
+          }
+
+          quantizationTables[spec & 15] = table;
+        }
+        break;
+
+      case 0xc0:
+      case 0xc1:
+      case 0xc2:
+        frame = readJPEGFrame(buffer, offset, marker === 0xc2);
+        break;
+
+      case 0xc4:
+        while(offset < end){
+          var tableSpec = buffer[offset++];
+          var codeLengths = buffer.subarray(offset, offset + 16);
+          var total = 0;
+
+          for(var k = 0; k < 16; k++){
+            total += codeLengths[k];
+          }
+
+          var tree = buildHuffmanTree(codeLengths, buffer.subarray(offset + 16, offset + 16 + total));
+
+          offset += 16 + total;
+          (tableSpec >> 4 ? acTables : dcTables)[tableSpec & 15] = tree;
+        }
+        break;
+
+      case 0xdd:
+        resetInterval = buffer.readUInt16BE(offset);
+        break;
+
+      case 0xee:
+        buffer.toString('latin1', offset, offset + 5) === 'Adobe' && (adobe = {transform: buffer[offset + 11]});
+        break;
+
+      case 0xda:
+        if(!frame){throw 'invalid jpeg: scan before frame';}
+
+        var count = buffer[offset++];
+        var components = [];
+
+        for(var i = 0; i < count; i++){
+          var component = frame.componentIds[buffer[offset++]];
+          var tables = buffer[offset++];
+
+          if(!component){throw 'invalid jpeg: unknown component';}
+
+          component.dcTable = dcTables[tables >> 4];
+          component.acTable = acTables[tables & 15];
+          components.push(component);
+        }
+
+        var spectralStart = buffer[offset++];
+        var spectralEnd = buffer[offset++];
+        var approximation = buffer[offset++];
+
+        end = decodeScan(buffer, offset, frame, components, resetInterval, spectralStart, spectralEnd, approximation >> 4, approximation & 15);
+        break;
+
+      default:
+        if(marker >= 0xc3 && marker <= 0xcf){throw 'unsupported jpeg: lossless or arithmetic coding';}
+    }
+
+    offset = end;
+  }
+
+  if(!frame){throw 'invalid jpeg: no frame';}
+
+  return buildJPEGImage(frame, quantizationTables, adobe);
+}
+
+function readJPEGFrame(buffer, offset, progressive){
+  var frame = {
+    progressive: progressive,
+    height: buffer.readUInt16BE(offset + 1),
+    width: buffer.readUInt16BE(offset + 3),
+    components: [],
+    componentIds: {}
+  };
+  var count = buffer[offset + 5];
+  var maxH = 1;
+  var maxV = 1;
+
+  offset += 6;
+
+  for(var i = 0; i < count; i++){
+    var component = {
+      h: buffer[offset + 1] >> 4,
+      v: buffer[offset + 1] & 15,
+      quantizationId: buffer[offset + 2]
+    };
+
+    maxH = Math.max(maxH, component.h);
+    maxV = Math.max(maxV, component.v);
+    frame.components.push(component);
+    frame.componentIds[buffer[offset]] = component;
+    offset += 3;
+  }
+
+  if(!frame.width || !frame.height){throw 'invalid jpeg: empty frame';}
+
+  frame.maxH = maxH;
+  frame.maxV = maxV;
+  frame.mcusPerLine = Math.ceil(frame.width / 8 / maxH);
+  frame.mcusPerColumn = Math.ceil(frame.height / 8 / maxV);
+
+  frame.components.forEach(function(component){
+    component.blocksPerLine = Math.ceil(Math.ceil(frame.width / 8) * component.h / maxH);
+    component.blocksPerColumn = Math.ceil(Math.ceil(frame.height / 8) * component.v / maxV);
+    component.stride = frame.mcusPerLine * component.h;
+    component.blocks = new Int16Array(64 * component.stride * frame.mcusPerColumn * component.v);
+  });
+
+  return frame;
+}
+
+// 码长表转成二叉树：数组下标 0/1 是下一位，叶子是数值
+function buildHuffmanTree(codeLengths, values){
+  var root = [];
+  var code = 0;
+  var k = 0;
+
+  for(var length = 1; length <= 16; length++){
+    for(var i = 0; i < codeLengths[length - 1]; i++){
+      var node = root;
+
+      for(var bit = length - 1; bit > 0; bit--){
+        var b = (code >> bit) & 1;
+        node = node[b] || (node[b] = []);
+      }
+
+      node[code & 1] = values[k++];
+      code++;
+    }
+
+    code <<= 1;
+  }
+
+  return root;
+}
+
+function decodeScan(data, offset, frame, components, resetInterval, spectralStart, spectralEnd, approximationHigh, approximationLow){
+  var bits = 0;
+  var bitCount = 0;
+  var eobrun = 0;
+  var refineState = 0;
+  var refineValue = 0;
+  var refineRun = 0;
+
+  // 遇到标记（0xFF 后面不是 0）时不再前进，之后都按 0 补位
+  var readBit = function(){
+    if(!bitCount){
+      bits = data[offset];
+
+      if(bits === 0xff){
+        if(data[offset + 1]){
+          bits = 0;
+        } else {
+          offset += 2;
+        }
+      } else {
+        offset++;
+      }
+
+      bitCount = 8;
+    }
+
+    return (bits >> --bitCount) & 1;
+  };
+
+  var receive = function(length){
+    var value = 0;
+
+    while(length--){
+      value = (value << 1) | readBit();
+    }
+
+    return value;
+  };
+
+  var receiveExtend = function(length){
+    if(!length){return 0;}
+
+    var value = receive(length);
+
+    return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+  };
+
+  var decodeHuffman = function(tree){
+    var node = tree;
+
+    while(typeof node === 'object'){
+      node = node[readBit()];
+    }
+
+    if(node === undefined){throw 'invalid jpeg: bad huffman code';}
+
+    return node;
+  };
+
+  var decodeBaseline = function(component, block){
+    component.prediction += receiveExtend(decodeHuffman(component.dcTable));
+    component.blocks[block] = component.prediction;
+
+    for(var k = 1; k < 64;){
+      var rs = decodeHuffman(component.acTable);
+      var size = rs & 15;
+      var run = rs >> 4;
+
+      if(!size){
+        if(run < 15){break;}
+        k += 16;
+        continue;
+      }
+
+      k += run;
+      if(k > 63){break;}
+      component.blocks[block + ZIGZAG[k++]] = receiveExtend(size);
+    }
+  };
+
+  var decodeDCFirst = function(component, block){
+    component.prediction += receiveExtend(decodeHuffman(component.dcTable)) * (1 << approximationLow);
+    component.blocks[block] = component.prediction;
+  };
+
+  var decodeDCRefine = function(component, block){
+    readBit() && (component.blocks[block] |= 1 << approximationLow);
+  };
+
+  var decodeACFirst = function(component, block){
+    if(eobrun > 0){
+      eobrun--;
+      return;
+    }
+
+    for(var k = spectralStart; k <= spectralEnd;){
+      var rs = decodeHuffman(component.acTable);
+      var size = rs & 15;
+      var run = rs >> 4;
+
+      if(!size){
+        if(run < 15){
+          eobrun = receive(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+
+      k += run;
+      if(k > 63){break;}
+      component.blocks[block + ZIGZAG[k++]] = receiveExtend(size) * (1 << approximationLow);
+    }
+  };
+
+  // 渐进式 AC 细化：已有非零系数每个读一位修正，新系数按游程插入到第 run+1 个零位置
+  var decodeACRefine = function(component, block){
+    var blocks = component.blocks;
+
+    for(var k = spectralStart; k <= spectralEnd; k++){
+      var index = block + ZIGZAG[k];
+      var coefficient = blocks[index];
+      var sign = coefficient < 0 ? -1 : 1;
+
+      switch(refineState){
+        case 0:
+          var rs = decodeHuffman(component.acTable);
+          var size = rs & 15;
+
+          refineRun = rs >> 4;
+
+          if(!size){
+            if(refineRun < 15){
+              eobrun = receive(refineRun) + (1 << refineRun);
+              refineState = 4;
+            } else {
+              refineRun = 16;
+              refineState = 1;
+            }
+          } else {
+            refineValue = receiveExtend(size);
+            refineState = refineRun ? 2 : 3;
+          }
+
+          k--;
+          continue;
+
+        case 1:
+        case 2:
+          if(coefficient){
+            blocks[index] += sign * (readBit() << approximationLow);
+          } else if(--refineRun === 0){
+            refineState = refineState === 2 ? 3 : 0;
+          }
+          break;
+
+        case 3:
+          if(coefficient){
+            blocks[index] += sign * (readBit() << approximationLow);
+          } else {
+            blocks[index] = refineValue << approximationLow;
+            refineState = 0;
+          }
+          break;
+
+        case 4:
+          coefficient && (blocks[index] += sign * (readBit() << approximationLow));
+          break;
+      }
+    }
+
+    if(refineState === 4 && --eobrun === 0){
+      refineState = 0;
+    }
+  };
+
+  var decode = !frame.progressive ? decodeBaseline
+    : spectralStart === 0 ? (approximationHigh ? decodeDCRefine : decodeDCFirst)
+    : (approximationHigh ? decodeACRefine : decodeACFirst);
+
+  var single = components.length === 1;
+  var total = single ? components[0].blocksPerLine * components[0].blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+  var mcu = 0;
+
+  while(mcu < total){
+    var count = resetInterval ? Math.min(resetInterval, total - mcu) : total;
+
+    components.forEach(function(component){
+      component.prediction = 0;
+    });
+    eobrun = 0;
+    refineState = 0;
+    bitCount = 0;
+
+    for(var n = 0; n < count; n++, mcu++){
+      if(single){
+        var component = components[0];
+        var row = (mcu / component.blocksPerLine) | 0;
+        var col = mcu % component.blocksPerLine;
+
+        decode(component, 64 * (row * component.stride + col));
+        continue;
+      }
+
+      var mcuRow = (mcu / frame.mcusPerLine) | 0;
+      var mcuCol = mcu % frame.mcusPerLine;
+
+      for(var i = 0; i < components.length; i++){
+        var item = components[i];
+
+        for(var v = 0; v < item.v; v++){
+          for(var h = 0; h < item.h; h++){
+            decode(item, 64 * ((mcuRow * item.v + v) * item.stride + mcuCol * item.h + h));
+          }
+        }
+      }
+    }
+
+    // 跳到下一个标记；是 RST 就越过它继续解下一段
+    while(offset + 1 < data.length && !(data[offset] === 0xff && data[offset + 1] && data[offset + 1] !== 0xff)){
+      offset++;
+    }
+
+    if(data[offset + 1] >= 0xd0 && data[offset + 1] <= 0xd7){
+      offset += 2;
+    } else if(mcu < total){
+      break;
+    }
+  }
+
+  return offset;
+}
+
+function buildJPEGImage(frame, quantizationTables, adobe){
+  var width = frame.width;
+  var height = frame.height;
+  var planes = frame.components.map(function(component){
+    return buildJPEGPlane(component, quantizationTables[component.quantizationId]);
+  });
+  var data = new Uint8ClampedArray(width * height * 4);
+  var count = planes.length;
+
+  for(var y = 0; y < height; y++){
+    for(var x = 0; x < width; x++){
+      var samples = [];
+
+      for(var i = 0; i < count; i++){
+        var component = frame.components[i];
+        var sx = (x * component.h / frame.maxH) | 0;
+        var sy = (y * component.v / frame.maxV) | 0;
+
+        samples.push(planes[i][sy * component.blocksPerLine * 8 + sx]);
+      }
+
+      var offset = (y * width + x) * 4;
+      var rgb = toRGB(samples, adobe);
+
+      data[offset] = rgb[0];
+      data[offset + 1] = rgb[1];
+      data[offset + 2] = rgb[2];
+      data[offset + 3] = 255;
+    }
+  }
+
+  return {data: data, width: width, height: height};
+}
+
+function toRGB(samples, adobe){
+  if(samples.length < 3){
+    return [samples[0], samples[0], samples[0]];
+  }
+
+  var transform = adobe ? adobe.transform : samples.length === 3 ? 1 : 0;
+  var rgb = transform ? fromYCbCr(samples[0], samples[1], samples[2]) : [samples[0], samples[1], samples[2]];
+
+  // Adobe 的 CMYK/YCCK 存的是反相值，近似换算成 RGB
+  if(samples.length === 4){
+    return [rgb[0] * samples[3] / 255, rgb[1] * samples[3] / 255, rgb[2] * samples[3] / 255];
+  }
+
+  return rgb;
+}
+
+function fromYCbCr(y, cb, cr){
+  return [
+    y + 1.402 * (cr - 128),
+    y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+    y + 1.772 * (cb - 128)
+  ];
+}
+
+function buildJPEGPlane(component, table){
+  if(!table){throw 'invalid jpeg: missing quantization table';}
+
+  var lineWidth = component.blocksPerLine * 8;
+  var plane = new Uint8ClampedArray(lineWidth * component.blocksPerColumn * 8);
+  var coefficients = new Float32Array(64);
+  var temp = new Float32Array(64);
+
+  for(var row = 0; row < component.blocksPerColumn; row++){
+    for(var col = 0; col < component.blocksPerLine; col++){
+      var block = 64 * (row * component.stride + col);
+
+      for(var i = 0; i < 64; i++){
+        coefficients[i] = component.blocks[block + i] * table[i];
+      }
+
+      idct(coefficients, temp);
+
+      for(var y = 0; y < 8; y++){
+        for(var x = 0; x < 8; x++){
+          plane[(row * 8 + y) * lineWidth + col * 8 + x] = temp[y * 8 + x] + 128;
+        }
+      }
+    }
+  }
+
+  return plane;
+}
+
+// 可分离的 8x8 反 DCT：先逐行再逐列
+function idct(input, output){
+  var rows = new Float32Array(64);
+
+  for(var v = 0; v < 8; v++){
+    for(var x = 0; x < 8; x++){
+      var sum = 0;
+
+      for(var u = 0; u < 8; u++){
+        sum += IDCT_TABLE[u * 8 + x] * input[v * 8 + u];
+      }
+
+      rows[v * 8 + x] = sum;
+    }
+  }
+
+  for(var col = 0; col < 8; col++){
+    for(var y = 0; y < 8; y++){
+      var total = 0;
+
+      for(var k = 0; k < 8; k++){
+        total += IDCT_TABLE[k * 8 + y] * rows[k * 8 + col];
+      }
+
+      output[y * 8 + col] = total;
+    }
+  }
+}
+
+// ---------- PNG 编码 ----------
+
+// pixels 是每像素 3 字节的 RGB
+function writePNG(pixels, width, height){
+  var raw = Buffer.alloc((width * 3 + 1) * height);
+
+  for(var y = 0; y < height; y++){
+    raw[y * (width * 3 + 1)] = 0;
+    pixels.copy ? pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3)
+      : raw.set(pixels.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+
+  var header = Buffer.alloc(13);
+
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, {level: 9})),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+var CRC_TABLE = (function(){
+  var table = new Int32Array(256);
+
+  for(var n = 0; n < 256; n++){
+    var c = n;
+
+    for(var k = 0; k < 8; k++){
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+
+    table[n] = c;
+  }
+
+  return table;
+}());
+
+function crc32(buffer){
+  var crc = -1;
+
+  for(var i = 0; i < buffer.length; i++){
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, body){
+  var length = Buffer.alloc(4);
+  var crc = Buffer.alloc(4);
+  var content = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+
+  length.writeUInt32BE(body.length, 0);
+  crc.writeUInt32BE(crc32(content), 0);
+
+  return Buffer.concat([length, content, crc]);
+}
+
+exports.readImage = readImage;
+exports.readPNG = readPNG;
+exports.readGIF = readGIF;
+exports.readJPEG = readJPEG;
+exports.writePNG = writePNG;
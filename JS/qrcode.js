@@ -21,7 +21,8 @@ else if(code<2048){bytes[pos++]=(code>>6)|192;bytes[pos++]=(code&63)|128;}
 else if((code&0xfc00)===0xd800&&i+1<length&&(str.charCodeAt(i+1)&0xfc00)===0xdc00){code=0x10000+((code&0x03ff)<<10)+(str.charCodeAt(++i)&0x03ff);bytes[pos++]=(code>>18)|240;bytes[pos++]=((code>>12)&63)|128;bytes[pos++]=((code>>6)&63)|128;bytes[pos++]=(code&63)|128;}
 else{bytes[pos++]=(code>>12)|224;bytes[pos++]=((code>>6)&63)|128;bytes[pos++]=(code&63)|128;}}
 return bytes;}
-var QRByte=(function(_super){__extends(QRByte,_super);function QRByte(data,encode){var _this=_super.call(this,exports.Mode.Byte,data)||this;_this.encoding=-1;if(typeof encode==='function'){var _a=encode(data),encoding=_a.encoding,bytes=_a.bytes;_this.bytes=bytes;_this.encoding=encoding;}
+var QRByte=(function(_super){__extends(QRByte,_super);function QRByte(data,encode){var _this=_super.call(this,exports.Mode.Byte,data)||this;_this.encoding=-1;if(typeof encode==='string'){encode=(function(charset){return function(data){return encodeCharset(data,charset);};}(encode));}
+if(typeof encode==='function'){var _a=encode(data),encoding=_a.encoding,bytes=_a.bytes;_this.bytes=bytes;_this.encoding=encoding;}
 else{_this.bytes=UTF8(data);_this.encoding=26;}
 return _this;}
 QRByte.prototype.write=function(buffer){var bytes=this.bytes;var length=bytes.length;for(var i=0;i<length;i++){buffer.put(bytes[i],8);}};QRByte.prototype.getLength=function(){return this.bytes.length;};return QRByte;}(QRData));(function(ErrorCorrectionLevel){ErrorCorrectionLevel[ErrorCorrectionLevel["L"]=1]="L";ErrorCorrectionLevel[ErrorCorrectionLevel["M"]=0]="M";ErrorCorrectionLevel[ErrorCorrectionLevel["Q"]=3]="Q";ErrorCorrectionLevel[ErrorCorrectionLevel["H"]=2]="H";})(exports.ErrorCorrectionLevel||(exports.ErrorCorrectionLevel={}));var EXP_TABLE=[];var LOG_TABLE=[];for(var i=0;i<256;i++){LOG_TABLE[i]=0;EXP_TABLE[i]=i<8?1<<i:EXP_TABLE[i-4]^EXP_TABLE[i-5]^EXP_TABLE[i-6]^EXP_TABLE[i-8];}
@@ -109,7 +110,8 @@ var PAD0=0xec;var PAD1=0x11;var toString=Object.prototype.toString;function appe
 buffer.put(exports.Mode.ECI,4);if(encoding<1<<7){buffer.put(encoding,8);}
 else if(encoding<1<<14){buffer.put(2,2);buffer.put(encoding,14);}
 else{buffer.put(6,3);buffer.put(encoding,21);}}
-function prepareData(version,errorCorrectionLevel,hasEncodingHint,chunks){var dLength=chunks.length;var buffer=new BitBuffer();var rsBlocks=RSBlock.getRSBlocks(version,errorCorrectionLevel);for(var i=0;i<dLength;i++){var data=chunks[i];var mode=data.getMode();if(hasEncodingHint&&mode===exports.Mode.Byte){appendECI(data.encoding,buffer);}
+function prepareData(version,errorCorrectionLevel,hasEncodingHint,chunks,structuredAppend){var dLength=chunks.length;var buffer=new BitBuffer();var rsBlocks=RSBlock.getRSBlocks(version,errorCorrectionLevel);if(structuredAppend){buffer.put(exports.Mode.StructuredAppend,4);buffer.put(structuredAppend.index,4);buffer.put(structuredAppend.total-1,4);buffer.put(structuredAppend.parity,8);}
+for(var i=0;i<dLength;i++){var data=chunks[i];var mode=data.getMode();if(mode===exports.Mode.Byte&&(hasEncodingHint||data.encoding!==26)){appendECI(data.encoding,buffer);}
 buffer.put(mode,4);buffer.put(data.getLength(),data.getLengthInBits(version));data.write(buffer);}
 var maxDataCount=0;var rLength=rsBlocks.length;for(var i=0;i<rLength;i++){maxDataCount+=rsBlocks[i].getDataCount();}
 maxDataCount*=8;return[buffer,rsBlocks,maxDataCount];}
@@ -125,8 +127,10 @@ while(true){if(buffer.getLengthInBits()>=maxDataCount){break;}
 buffer.put(PAD0,8);if(buffer.getLengthInBits()>=maxDataCount){break;}
 buffer.put(PAD1,8);}
 return createBytes(buffer,rsBlocks);}
-var Encoder=(function(){function Encoder(){this.version=0;this.chunks=[];this.moduleCount=0;this.modules=[];this.hasEncodingHint=false;this.autoVersion=this.version===0;this.errorCorrectionLevel=exports.ErrorCorrectionLevel.L;}
-Encoder.prototype.getModules=function(){return this.modules;};Encoder.prototype.getModuleCount=function(){return this.moduleCount;};Encoder.prototype.getVersion=function(){return this.version;};Encoder.prototype.setVersion=function(version){this.version=Math.min(40,Math.max(0,version>>0));this.autoVersion=this.version===0;};Encoder.prototype.getErrorCorrectionLevel=function(){return this.errorCorrectionLevel;};Encoder.prototype.setErrorCorrectionLevel=function(errorCorrectionLevel){switch(errorCorrectionLevel){case exports.ErrorCorrectionLevel.L:case exports.ErrorCorrectionLevel.M:case exports.ErrorCorrectionLevel.Q:case exports.ErrorCorrectionLevel.H:this.errorCorrectionLevel=errorCorrectionLevel;}};Encoder.prototype.getEncodingHint=function(){return this.hasEncodingHint;};Encoder.prototype.setEncodingHint=function(hasEncodingHint){this.hasEncodingHint=hasEncodingHint;};Encoder.prototype.write=function(data){if(data instanceof QRData){this.chunks.push(data);}
+var Encoder=(function(){function Encoder(){this.version=0;this.chunks=[];this.moduleCount=0;this.modules=[];this.hasEncodingHint=false;this.structuredAppend=null;this.autoVersion=this.version===0;this.errorCorrectionLevel=exports.ErrorCorrectionLevel.L;}
+Encoder.prototype.getModules=function(){return this.modules;};Encoder.prototype.getModuleCount=function(){return this.moduleCount;};Encoder.prototype.getVersion=function(){return this.version;};Encoder.prototype.setVersion=function(version){this.version=Math.min(40,Math.max(0,version>>0));this.autoVersion=this.version===0;};Encoder.prototype.getErrorCorrectionLevel=function(){return this.errorCorrectionLevel;};Encoder.prototype.setErrorCorrectionLevel=function(errorCorrectionLevel){switch(errorCorrectionLevel){case exports.ErrorCorrectionLevel.L:case exports.ErrorCorrectionLevel.M:case exports.ErrorCorrectionLevel.Q:case exports.ErrorCorrectionLevel.H:this.errorCorrectionLevel=errorCorrectionLevel;}};Encoder.prototype.getEncodingHint=function(){return this.hasEncodingHint;};Encoder.prototype.setEncodingHint=function(hasEncodingHint){this.hasEncodingHint=hasEncodingHint;};Encoder.prototype.getStructuredAppend=function(){return this.structuredAppend;};Encoder.prototype.setStructuredAppend=function(index,total,parity){if(total===void 0){this.structuredAppend=null;return;}
+if(total<2||total>16||index<0||index>=total){throw "illegal structured append: "+index+" of "+total;}
+this.structuredAppend={index:index>>0,total:total>>0,parity:parity&0xff};};Encoder.prototype.write=function(data){if(data instanceof QRData){this.chunks.push(data);}
 else{var type=toString.call(data);if(type==='[object String]'){this.chunks.push(new QRByte(data));}
 else{throw "illegal data: "+data;}}};Encoder.prototype.isDark=function(row,col){if(this.modules[row][col]!==null){return this.modules[row][col];}
 else{return false;}};Encoder.prototype.setupFinderPattern=function(row,col){var moduleCount=this.moduleCount;for(var r=-1;r<=7;r++){for(var c=-1;c<=7;c++){if(row+r<=-1||moduleCount<=row+r||col+c<=-1||moduleCount<=col+c){continue;}
@@ -145,15 +149,54 @@ for(var vert=0;vert<moduleCount;vert++){for(var j=0;j<2;j++){var x=right-j;var u
 var bit=false;if(bitIndex<bitLength){bit=data.getBit(bitIndex++);}
 var maskFunc=getMaskFunc(maskPattern);var invert=maskFunc(x,y);if(invert){bit=!bit;}
 this.modules[y][x]=bit;}}}};Encoder.prototype.buildMatrix=function(data,maskPattern){this.modules=[];var moduleCount=this.moduleCount;for(var row=0;row<moduleCount;row++){this.modules[row]=[];for(var col=0;col<moduleCount;col++){this.modules[row][col]=null;}}
-this.setupFinderPattern(0,0);this.setupFinderPattern(moduleCount-7,0);this.setupFinderPattern(0,moduleCount-7);this.setupAlignmentPattern();this.setupTimingPattern();this.setupFormatInfo(maskPattern);this.setupVersionInfo();this.setupCodewords(data,maskPattern);};Encoder.prototype.make=function(){var _a,_b;var buffer;var rsBlocks;var maxDataCount;var chunks=this.chunks;var errorCorrectionLevel=this.errorCorrectionLevel;if(this.autoVersion){for(this.version=1;this.version<=40;this.version++){_a=prepareData(this.version,errorCorrectionLevel,this.hasEncodingHint,chunks),buffer=_a[0],rsBlocks=_a[1],maxDataCount=_a[2];if(buffer.getLengthInBits()<=maxDataCount)
+this.setupFinderPattern(0,0);this.setupFinderPattern(moduleCount-7,0);this.setupFinderPattern(0,moduleCount-7);this.setupAlignmentPattern();this.setupTimingPattern();this.setupFormatInfo(maskPattern);this.setupVersionInfo();this.setupCodewords(data,maskPattern);};Encoder.prototype.make=function(){var _a,_b;var buffer;var rsBlocks;var maxDataCount;var chunks=this.chunks;var errorCorrectionLevel=this.errorCorrectionLevel;if(this.autoVersion){for(this.version=1;this.version<=40;this.version++){_a=prepareData(this.version,errorCorrectionLevel,this.hasEncodingHint,chunks,this.structuredAppend),buffer=_a[0],rsBlocks=_a[1],maxDataCount=_a[2];if(buffer.getLengthInBits()<=maxDataCount)
 break;}}
-else{_b=prepareData(this.version,errorCorrectionLevel,this.hasEncodingHint,chunks),buffer=_b[0],rsBlocks=_b[1],maxDataCount=_b[2];}
+else{_b=prepareData(this.version,errorCorrectionLevel,this.hasEncodingHint,chunks,this.structuredAppend),buffer=_b[0],rsBlocks=_b[1],maxDataCount=_b[2];}
 this.moduleCount=this.version*4+17;var matrices=[];var data=createData(buffer,rsBlocks,maxDataCount);var bestMaskPattern=-1;var minPenalty=Number.MAX_VALUE;for(var maskPattern=0;maskPattern<8;maskPattern++){this.buildMatrix(data,maskPattern);matrices.push(this.modules);var penalty=calculateMaskPenalty(this);if(penalty<minPenalty){minPenalty=penalty;bestMaskPattern=maskPattern;}}
 this.modules=matrices[bestMaskPattern];};Encoder.prototype.toDataURL=function(moduleSize,margin){if(moduleSize===void 0){moduleSize=2;}
 if(margin===void 0){margin=moduleSize*4;}
 moduleSize=Math.max(1,moduleSize>>0);margin=Math.max(0,margin>>0);var moduleCount=this.moduleCount;var size=moduleSize*moduleCount+margin*2;var gif=new GIFImage(size,size);for(var y=0;y<size;y++){for(var x=0;x<size;x++){if(margin<=x&&x<size-margin&&margin<=y&&y<size-margin&&this.isDark(((y-margin)/moduleSize)>>0,((x-margin)/moduleSize)>>0)){gif.setPixel(x,y,0);}
 else{gif.setPixel(x,y,1);}}}
-return gif.toDataURL();};return Encoder;}());var MIN_QUAD_RATIO=0.5;var MAX_QUAD_RATIO=1.5;var MAX_FINDERPATTERNS_TO_SEARCH=4;function distance(a,b){return Math.sqrt(Math.pow((b.x-a.x),2)+Math.pow((b.y-a.y),2));}
+return gif.toDataURL();};Encoder.structuredAppend=function(data,errorCorrectionLevel,version,charset){if(errorCorrectionLevel===void 0){errorCorrectionLevel=exports.ErrorCorrectionLevel.L;}
+if(version===void 0){version=0;}
+if(charset===void 0){charset='utf-8';}
+var encode=function(text){return encodeCharset(text,charset);};var create=function(text,index,total,parity){var encoder=new Encoder();encoder.setErrorCorrectionLevel(errorCorrectionLevel);encoder.setVersion(version);if(total>1){encoder.setStructuredAppend(index,total,parity);}
+encoder.write(new QRByte(text,encode));encoder.make();return encoder;};try{return[create(data,0,1,0)];}
+catch(e){if(String(e).indexOf('data overflow')!==0){throw e;}}
+var splitVersion=version||40;var empty=new QRByte('',encode);var header=prepareData(splitVersion,errorCorrectionLevel,false,[empty],{index:0,total:2,parity:0});var capacity=((header[2]-header[0].getLengthInBits())/8)>>0;var bytes=encode(data).bytes;var parity=0;for(var i=0;i<bytes.length;i++){parity^=bytes[i];}
+var pieces=[];var piece='';var pieceLength=0;for(var i=0;i<data.length;i++){var ch=data.charAt(i);var code=data.charCodeAt(i);if((code&0xfc00)===0xd800&&i+1<data.length){ch+=data.charAt(++i);}
+var length=encode(ch).bytes.length;if(pieceLength+length>capacity){pieces.push(piece);piece='';pieceLength=0;}
+piece+=ch;pieceLength+=length;}
+pieces.push(piece);if(pieces.length>16){throw "data overflow: structured append needs "+pieces.length+" > 16 symbols";}
+return pieces.map(function(text,index){return create(text,index,pieces.length,parity);});};Encoder.prototype.toSVG=function(moduleSize,margin,foreground,background){if(moduleSize===void 0){moduleSize=2;}
+if(margin===void 0){margin=moduleSize*4;}
+if(foreground===void 0){foreground='#000000';}
+if(background===void 0){background='#ffffff';}
+moduleSize=Math.max(1,moduleSize>>0);margin=Math.max(0,margin>>0);var moduleCount=this.moduleCount;var size=moduleSize*moduleCount+margin*2;var path='';for(var row=0;row<moduleCount;row++){for(var col=0;col<moduleCount;col++){if(!this.isDark(row,col)){continue;}
+var start=col;while(col+1<moduleCount&&this.isDark(row,col+1)){col++;}
+path+='M'+(margin+start*moduleSize)+' '+(margin+row*moduleSize)+'h'+(col-start+1)*moduleSize+'v'+moduleSize+'h-'+(col-start+1)*moduleSize+'z';}}
+return '<svg xmlns="http://www.w3.org/2000/svg" width="'+size+'" height="'+size+'" viewBox="0 0 '+size+' '+size+'" shape-rendering="crispEdges">'+'<rect width="'+size+'" height="'+size+'" fill="'+escapeXML(background)+'"/>'+'<path d="'+path+'" fill="'+escapeXML(foreground)+'"/></svg>';};Encoder.prototype.getStyledPaths=function(options){if(options===void 0){options={};}
+var moduleSize=options.moduleSize===void 0?8:Math.max(1,options.moduleSize>>0);var margin=options.margin===void 0?moduleSize*4:Math.max(0,options.margin>>0);var moduleShape=options.moduleShape||'square';var moduleCount=this.moduleCount;var size=moduleSize*moduleCount+margin*2;var logo=null;var logoStart=moduleCount;var logoEnd=-1;if(options.logo){if(this.errorCorrectionLevel!==exports.ErrorCorrectionLevel.H){throw "logo requires error correction level H";}
+var logoModules=Math.ceil(moduleCount*numBetween(options.logo.size||0.2,0.05,MAX_LOGO_SIZE));if((moduleCount-logoModules)%2){logoModules++;}
+logoStart=(moduleCount-logoModules)/2;logoEnd=logoStart+logoModules;logo={x:margin+(logoStart+0.5)*moduleSize,y:margin+(logoStart+0.5)*moduleSize,width:(logoModules-1)*moduleSize,height:(logoModules-1)*moduleSize};}
+var _this=this;var isDark=function(row,col){return row>=0&&col>=0&&row<moduleCount&&col<moduleCount&&_this.isDark(row,col)&&!isFinderModule(row,col,moduleCount)&&!(row>=logoStart&&row<logoEnd&&col>=logoStart&&col<logoEnd);};var modules='';for(var row=0;row<moduleCount;row++){for(var col=0;col<moduleCount;col++){if(!isDark(row,col)){continue;}
+var x=margin+col*moduleSize;var y=margin+row*moduleSize;if(moduleShape==='dot'){modules+=circlePath(x+moduleSize/2,y+moduleSize/2,moduleSize*DOT_RADIUS);}
+else if(moduleShape==='rounded'){var up=isDark(row-1,col);var down=isDark(row+1,col);var left=isDark(row,col-1);var right=isDark(row,col+1);var radius=moduleSize/2;modules+=cornerRectPath(x,y,moduleSize,!up&&!left?radius:0,!up&&!right?radius:0,!down&&!right?radius:0,!down&&!left?radius:0);}
+else{var start=col;while(isDark(row,col+1)){col++;}
+modules+='M'+x+' '+y+'h'+(col-start+1)*moduleSize+'v'+moduleSize+'h-'+(col-start+1)*moduleSize+'z';}}}
+var finderOuter='';var finderInner='';[[0,0],[moduleCount-7,0],[0,moduleCount-7]].forEach(function(position){var x=margin+position[0]*moduleSize;var y=margin+position[1]*moduleSize;finderOuter+=shapePath(options.finderOuter,x,y,moduleSize*7,moduleSize*2.5)+shapePath(options.finderOuter,x+moduleSize,y+moduleSize,moduleSize*5,moduleSize*1.5);finderInner+=shapePath(options.finderInner,x+moduleSize*2,y+moduleSize*2,moduleSize*3,moduleSize);});return{size:size,moduleSize:moduleSize,margin:margin,modules:modules,finderOuter:finderOuter,finderInner:finderInner,logo:logo};};Encoder.prototype.toStyledSVG=function(options){if(options===void 0){options={};}
+var paths=this.getStyledPaths(options);var size=paths.size;var foreground=options.foreground||'#000000';var fill=escapeXML(foreground);var defs='';if(options.gradient){var colors=[foreground,options.gradient.color||foreground];var stops='<stop offset="0" stop-color="'+escapeXML(colors[0])+'"/><stop offset="1" stop-color="'+escapeXML(colors[1])+'"/>';defs=options.gradient.type==='radial'?'<radialGradient id="qr-fill" gradientUnits="userSpaceOnUse" cx="'+size/2+'" cy="'+size/2+'" r="'+size/2+'">'+stops+'</radialGradient>':'<linearGradient id="qr-fill" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="'+size+'" y2="'+size+'">'+stops+'</linearGradient>';defs='<defs>'+defs+'</defs>';fill='url(#qr-fill)';}
+var finderFill=options.finderColor?escapeXML(options.finderColor):fill;var svg='<svg xmlns="http://www.w3.org/2000/svg" width="'+size+'" height="'+size+'" viewBox="0 0 '+size+' '+size+'"'+((options.moduleShape||'square')==='square'&&!options.finderOuter&&!options.finderInner?' shape-rendering="crispEdges"':'')+'>'+defs+'<rect width="'+size+'" height="'+size+'" fill="'+escapeXML(options.background||'#ffffff')+'"/>'+'<path d="'+paths.modules+'" fill="'+fill+'"/>'+'<path d="'+paths.finderOuter+'" fill="'+finderFill+'" fill-rule="evenodd"/>'+'<path d="'+paths.finderInner+'" fill="'+finderFill+'"/>';if(paths.logo&&options.logo.href){var logo=paths.logo;svg+='<image href="'+escapeXML(options.logo.href)+'" x="'+logo.x+'" y="'+logo.y+'" width="'+logo.width+'" height="'+logo.height+'" preserveAspectRatio="xMidYMid meet"/>';}
+return svg+'</svg>';};Encoder.prototype.verify=function(data,width,height){return this.matchesResult(new Decoder().decode(data,width,height));};Encoder.prototype.matchesResult=function(result){if(!result){return false;}
+var text=this.chunks.map(function(chunk){return chunk.data;}).join('');var structuredAppend=this.structuredAppend;return result.data===text&&(!structuredAppend||result.chunks.some(function(chunk){return chunk.mode===exports.Mode.StructuredAppend&&chunk.symbols[0]===structuredAppend.index;}));};return Encoder;}());function escapeXML(value){return String(value).replace(/[&<>"']/g,function(ch){return'&#'+ch.charCodeAt(0)+';';});}
+var MAX_LOGO_SIZE=0.3;var DOT_RADIUS=0.45;function isFinderModule(row,col,moduleCount){return(row<7||row>=moduleCount-7)&&col<7||row<7&&col>=moduleCount-7;}
+function formatNumber(value){return String(Math.round(value*100)/100);}
+function arcTo(radius,dx,dy){return 'a'+formatNumber(radius)+' '+formatNumber(radius)+' 0 0 1 '+formatNumber(dx)+' '+formatNumber(dy);}
+function cornerRectPath(x,y,size,topLeft,topRight,bottomRight,bottomLeft){return 'M'+formatNumber(x+topLeft)+' '+formatNumber(y)+'h'+formatNumber(size-topLeft-topRight)+(topRight?arcTo(topRight,topRight,topRight):'')+'v'+formatNumber(size-topRight-bottomRight)+(bottomRight?arcTo(bottomRight,-bottomRight,bottomRight):'')+'h'+formatNumber(bottomRight+bottomLeft-size)+(bottomLeft?arcTo(bottomLeft,-bottomLeft,-bottomLeft):'')+'v'+formatNumber(bottomLeft+topLeft-size)+(topLeft?arcTo(topLeft,topLeft,-topLeft):'')+'z';}
+function circlePath(cx,cy,radius){return 'M'+formatNumber(cx-radius)+' '+formatNumber(cy)+arcTo(radius,radius*2,0)+arcTo(radius,-radius*2,0)+'z';}
+function shapePath(shape,x,y,size,radius){if(shape==='circle'){return circlePath(x+size/2,y+size/2,size/2);}
+radius=shape==='rounded'?radius:0;return cornerRectPath(x,y,size,radius,radius,radius,radius);}
+var MIN_QUAD_RATIO=0.5;var MAX_QUAD_RATIO=1.5;var MAX_FINDERPATTERNS_TO_SEARCH=4;function distance(a,b){return Math.sqrt(Math.pow((b.x-a.x),2)+Math.pow((b.y-a.y),2));}
 function sum(values){return values.reduce(function(a,b){return a+b;});}
 function reorderFinderPatterns(pattern1,pattern2,pattern3){var _a,_b,_c,_d;var oneTwoDistance=distance(pattern1,pattern2);var twoThreeDistance=distance(pattern2,pattern3);var oneThreeDistance=distance(pattern1,pattern3);var topLeft;var topRight;var bottomLeft;if(twoThreeDistance>=oneTwoDistance&&twoThreeDistance>=oneThreeDistance){_a=[pattern2,pattern1,pattern3],bottomLeft=_a[0],topLeft=_a[1],topRight=_a[2];}
 else if(oneThreeDistance>=twoThreeDistance&&oneThreeDistance>=oneTwoDistance){_b=[pattern1,pattern2,pattern3],bottomLeft=_b[0],topLeft=_b[1],topRight=_b[2];}
@@ -184,20 +227,25 @@ Math.pow((vertError.averageSize-avgSize),2)+
 Math.pow((diagDownError.averageSize-avgSize),2)+
 Math.pow((diagUpError.averageSize-avgSize),2))/avgSize;return ratioError+sizeError;}
 catch(_a){return Infinity;}}
-function locate(matrix){var _a;var finderPatternQuads=[];var alignmentPatternQuads=[];var activeFinderPatternQuads=[];var activeAlignmentPatternQuads=[];var _loop_1=function(y){var length_1=0;var lastBit=false;var scans=[0,0,0,0,0];var _loop_2=function(x){var v=matrix.get(x,y);if(v===lastBit){length_1++;}
+function findPatterns(matrix){var finderPatternQuads=[];var alignmentPatternQuads=[];var activeFinderPatternQuads=[];var activeAlignmentPatternQuads=[];var _loop_1=function(y){var length_1=0;var lastBit=false;var scans=[0,0,0,0,0];var _loop_2=function(x){var v=matrix.get(x,y);if(v===lastBit){length_1++;}
 else{scans=[scans[1],scans[2],scans[3],scans[4],length_1];length_1=1;lastBit=v;var averageFinderPatternBlocksize=sum(scans)/7;var validFinderPattern=Math.abs(scans[0]-averageFinderPatternBlocksize)<averageFinderPatternBlocksize&&Math.abs(scans[1]-averageFinderPatternBlocksize)<averageFinderPatternBlocksize&&Math.abs(scans[2]-3*averageFinderPatternBlocksize)<3*averageFinderPatternBlocksize&&Math.abs(scans[3]-averageFinderPatternBlocksize)<averageFinderPatternBlocksize&&Math.abs(scans[4]-averageFinderPatternBlocksize)<averageFinderPatternBlocksize&&!v;var averageAlignmentPatternBlocksize=sum(scans.slice(-3))/3;var validAlignmentPattern=Math.abs(scans[2]-averageAlignmentPatternBlocksize)<averageAlignmentPatternBlocksize&&Math.abs(scans[3]-averageAlignmentPatternBlocksize)<averageAlignmentPatternBlocksize&&Math.abs(scans[4]-averageAlignmentPatternBlocksize)<averageAlignmentPatternBlocksize&&v;if(validFinderPattern){var endX_1=x-scans[3]-scans[4];var startX_1=endX_1-scans[2];var line={startX:startX_1,endX:endX_1,y:y};var matchingQuads=activeFinderPatternQuads.filter(function(q){return(startX_1>=q.bottom.startX&&startX_1<=q.bottom.endX)||(endX_1>=q.bottom.startX&&startX_1<=q.bottom.endX)||(startX_1<=q.bottom.startX&&endX_1>=q.bottom.endX&&(scans[2]/(q.bottom.endX-q.bottom.startX)<MAX_QUAD_RATIO&&scans[2]/(q.bottom.endX-q.bottom.startX)>MIN_QUAD_RATIO));});if(matchingQuads.length>0){matchingQuads[0].bottom=line;}
 else{activeFinderPatternQuads.push({top:line,bottom:line});}}
 if(validAlignmentPattern){var endX_2=x-scans[4];var startX_2=endX_2-scans[3];var line={startX:startX_2,y:y,endX:endX_2};var matchingQuads=activeAlignmentPatternQuads.filter(function(q){return(startX_2>=q.bottom.startX&&startX_2<=q.bottom.endX)||(endX_2>=q.bottom.startX&&startX_2<=q.bottom.endX)||(startX_2<=q.bottom.startX&&endX_2>=q.bottom.endX&&(scans[2]/(q.bottom.endX-q.bottom.startX)<MAX_QUAD_RATIO&&scans[2]/(q.bottom.endX-q.bottom.startX)>MIN_QUAD_RATIO));});if(matchingQuads.length>0){matchingQuads[0].bottom=line;}
 else{activeAlignmentPatternQuads.push({top:line,bottom:line});}}}};for(var x=-1;x<=matrix.width;x++){_loop_2(x);}
 finderPatternQuads.push.apply(finderPatternQuads,activeFinderPatternQuads.filter(function(q){return q.bottom.y!==y&&q.bottom.y-q.top.y>=2;}));activeFinderPatternQuads=activeFinderPatternQuads.filter(function(q){return q.bottom.y===y;});alignmentPatternQuads.push.apply(alignmentPatternQuads,activeAlignmentPatternQuads.filter(function(q){return q.bottom.y!==y;}));activeAlignmentPatternQuads=activeAlignmentPatternQuads.filter(function(q){return q.bottom.y===y;});};for(var y=0;y<=matrix.height;y++){_loop_1(y);}
-finderPatternQuads.push.apply(finderPatternQuads,activeFinderPatternQuads.filter(function(q){return q.bottom.y-q.top.y>=2;}));alignmentPatternQuads.push.apply(alignmentPatternQuads,activeAlignmentPatternQuads);var finderPatternGroups=finderPatternQuads.filter(function(q){return q.bottom.y-q.top.y>=2;}).map(function(q){var x=(q.top.startX+q.top.endX+q.bottom.startX+q.bottom.endX)/4;var y=(q.top.y+q.bottom.y+1)/2;if(!matrix.get(Math.round(x),Math.round(y))){return;}
-var lengths=[q.top.endX-q.top.startX,q.bottom.endX-q.bottom.startX,q.bottom.y-q.top.y+1];var size=sum(lengths)/lengths.length;var score=scorePattern({x:Math.round(x),y:Math.round(y)},[1,1,3,1,1],matrix);return{score:score,x:x,y:y,size:size};}).filter(function(q){return!!q;}).sort(function(a,b){return a.score-b.score;}).map(function(point,i,finderPatterns){if(i>MAX_FINDERPATTERNS_TO_SEARCH){return null;}
+finderPatternQuads.push.apply(finderPatternQuads,activeFinderPatternQuads.filter(function(q){return q.bottom.y-q.top.y>=2;}));alignmentPatternQuads.push.apply(alignmentPatternQuads,activeAlignmentPatternQuads);var finderPatterns=finderPatternQuads.filter(function(q){return q.bottom.y-q.top.y>=2;}).map(function(q){var x=(q.top.startX+q.top.endX+q.bottom.startX+q.bottom.endX)/4;var y=(q.top.y+q.bottom.y+1)/2;if(!matrix.get(Math.round(x),Math.round(y))){return;}
+var lengths=[q.top.endX-q.top.startX,q.bottom.endX-q.bottom.startX,q.bottom.y-q.top.y+1];var size=sum(lengths)/lengths.length;var score=scorePattern({x:Math.round(x),y:Math.round(y)},[1,1,3,1,1],matrix);return{score:score,x:x,y:y,size:size};}).filter(function(q){return!!q;}).sort(function(a,b){return a.score-b.score;});return{finderPatterns:finderPatterns,alignmentPatternQuads:alignmentPatternQuads};}
+function locate(matrix){var patterns=findPatterns(matrix);var points=findBestGroup(patterns.finderPatterns);if(!points){return null;}
+return locateGroup(matrix,points,scoreAlignmentPatterns(matrix,patterns.alignmentPatternQuads));}
+function findBestGroup(finderPatterns){var finderPatternGroups=finderPatterns.map(function(point,i,finderPatterns){if(i>MAX_FINDERPATTERNS_TO_SEARCH){return null;}
 var otherPoints=finderPatterns.filter(function(p,ii){return i!==ii;}).map(function(p){return({x:p.x,y:p.y,score:p.score+Math.pow((p.size-point.size),2)/point.size,size:p.size});}).sort(function(a,b){return a.score-b.score;});if(otherPoints.length<2){return null;}
 var score=point.score+otherPoints[0].score+otherPoints[1].score;return{points:[point].concat(otherPoints.slice(0,2)),score:score};}).filter(function(q){return!!q;}).sort(function(a,b){return a.score-b.score;});if(finderPatternGroups.length===0){return null;}
-var _b=reorderFinderPatterns(finderPatternGroups[0].points[0],finderPatternGroups[0].points[1],finderPatternGroups[0].points[2]),topRight=_b.topRight,topLeft=_b.topLeft,bottomLeft=_b.bottomLeft;var dimension;var moduleSize;try{(_a=computeDimension(topLeft,topRight,bottomLeft,matrix),dimension=_a.dimension,moduleSize=_a.moduleSize);}
+return finderPatternGroups[0].points;}
+function scoreAlignmentPatterns(matrix,alignmentPatternQuads){return alignmentPatternQuads.map(function(q){var x=(q.top.startX+q.top.endX+q.bottom.startX+q.bottom.endX)/4;var y=(q.top.y+q.bottom.y+1)/2;if(!matrix.get(Math.floor(x),Math.floor(y))){return;}
+return{x:x,y:y,score:scorePattern({x:Math.floor(x),y:Math.floor(y)},[1,1,1],matrix)};}).filter(function(v){return!!v;});}
+function locateGroup(matrix,points,alignmentPatterns){var _a;var _b=reorderFinderPatterns(points[0],points[1],points[2]),topRight=_b.topRight,topLeft=_b.topLeft,bottomLeft=_b.bottomLeft;var dimension;var moduleSize;try{(_a=computeDimension(topLeft,topRight,bottomLeft,matrix),dimension=_a.dimension,moduleSize=_a.moduleSize);}
 catch(e){return null;}
-var bottomRightFinderPattern={x:topRight.x-topLeft.x+bottomLeft.x,y:topRight.y-topLeft.y+bottomLeft.y};var modulesBetweenFinderPatterns=(distance(topLeft,bottomLeft)+distance(topLeft,topRight))/2/moduleSize;var correctionToTopLeft=1-3/modulesBetweenFinderPatterns;var expectedAlignmentPattern={x:topLeft.x+correctionToTopLeft*(bottomRightFinderPattern.x-topLeft.x),y:topLeft.y+correctionToTopLeft*(bottomRightFinderPattern.y-topLeft.y)};var alignmentPatterns=alignmentPatternQuads.map(function(q){var x=(q.top.startX+q.top.endX+q.bottom.startX+q.bottom.endX)/4;var y=(q.top.y+q.bottom.y+1)/2;if(!matrix.get(Math.floor(x),Math.floor(y))){return;}
-var sizeScore=scorePattern({x:Math.floor(x),y:Math.floor(y)},[1,1,1],matrix);var score=sizeScore+distance({x:x,y:y},expectedAlignmentPattern);return{x:x,y:y,score:score};}).filter(function(v){return!!v;}).sort(function(a,b){return a.score-b.score;});var hasAlignmentPatterns=modulesBetweenFinderPatterns>=15&&alignmentPatterns.length;var alignmentPattern=hasAlignmentPatterns?alignmentPatterns[0]:expectedAlignmentPattern;return{dimension:dimension,topLeft:{x:topLeft.x,y:topLeft.y},topRight:{x:topRight.x,y:topRight.y},bottomLeft:{x:bottomLeft.x,y:bottomLeft.y},alignmentPattern:{x:alignmentPattern.x,y:alignmentPattern.y}};}
+var bottomRightFinderPattern={x:topRight.x-topLeft.x+bottomLeft.x,y:topRight.y-topLeft.y+bottomLeft.y};var modulesBetweenFinderPatterns=(distance(topLeft,bottomLeft)+distance(topLeft,topRight))/2/moduleSize;var correctionToTopLeft=1-3/modulesBetweenFinderPatterns;var expectedAlignmentPattern={x:topLeft.x+correctionToTopLeft*(bottomRightFinderPattern.x-topLeft.x),y:topLeft.y+correctionToTopLeft*(bottomRightFinderPattern.y-topLeft.y)};var alignmentPattern=expectedAlignmentPattern;var bestScore=Infinity;if(modulesBetweenFinderPatterns>=15){alignmentPatterns.forEach(function(pattern){var score=pattern.score+distance(pattern,expectedAlignmentPattern);if(score<bestScore){bestScore=score;alignmentPattern=pattern;}});}return{dimension:dimension,topLeft:{x:topLeft.x,y:topLeft.y},topRight:{x:topRight.x,y:topRight.y},bottomLeft:{x:bottomLeft.x,y:bottomLeft.y},alignmentPattern:{x:alignmentPattern.x,y:alignmentPattern.y}};}
 var GenericGFPoly=(function(){function GenericGFPoly(field,coefficients){if(coefficients.length===0){throw 'no coefficients';}
 this.field=field;var coefficientsLength=coefficients.length;if(coefficientsLength>1&&coefficients[0]===0){var firstNonZero=1;while(firstNonZero<coefficientsLength&&coefficients[firstNonZero]===0){firstNonZero++;}
 if(firstNonZero===coefficientsLength){this.coefficients=field.zero.coefficients;}
@@ -280,13 +328,55 @@ function decodeByteAsSJIS(bytes){var pos=0;var output='';var length=bytes.length
 else if(0xa0<=byte&&byte<=0xdf){output+=String.fromCharCode(byte+0xfec0);}
 else{var code=(byte<<8)+bytes[pos++];code=SJIS_TO_UTF8[code];output+=code!=null?String.fromCharCode(code):'?';}}
 return output;}
+var ECI_CHARSETS={3:'iso-8859-1',4:'iso-8859-2',5:'iso-8859-3',6:'iso-8859-4',7:'iso-8859-5',8:'iso-8859-6',9:'iso-8859-7',10:'iso-8859-8',11:'iso-8859-9',12:'iso-8859-10',13:'iso-8859-11',15:'iso-8859-13',16:'iso-8859-14',17:'iso-8859-15',18:'iso-8859-16',20:'shift_jis',21:'windows-1250',22:'windows-1251',23:'windows-1252',24:'windows-1256',25:'utf-16be',26:'utf-8',27:'us-ascii',28:'big5',29:'gbk',30:'euc-kr'};var CHARSET_ALIASES={'utf8':'utf-8','latin1':'iso-8859-1','iso8859-1':'iso-8859-1','ascii':'us-ascii','sjis':'shift_jis','shift-jis':'shift_jis','gb2312':'gbk','gb18030':'gbk','cp936':'gbk','big5-hkscs':'big5','euckr':'euc-kr','cp1252':'windows-1252'};function getCharset(charset){charset=String(charset).toLowerCase();return CHARSET_ALIASES[charset]||charset;}
+function getECI(charset){charset=getCharset(charset);for(var encoding in ECI_CHARSETS){if(ECI_CHARSETS[encoding]===charset){return Number(encoding);}}
+return-1;}
+function isSingleByteCharset(charset){return charset!=='shift_jis'&&charset!=='big5'&&charset!=='gbk'&&charset!=='euc-kr';}
+function isLatin1(encoding){return encoding===1||encoding===3||encoding===27||encoding===170;}
+function isUTF8(bytes){var pos=0;var length=bytes.length;while(pos<length){var c1=bytes[pos++];if(c1<0x80){continue;}
+var count=c1>=0xc2&&c1<0xe0?1:c1>=0xe0&&c1<0xf0?2:c1>=0xf0&&c1<0xf5?3:-1;if(count<0||pos+count>length){return false;}
+for(var i=0;i<count;i++){if((bytes[pos++]&0xc0)!==0x80){return false;}}}
+return true;}
+function decodeByteAsLatin1(bytes){var output='';var length=bytes.length;for(var i=0;i<length;i++){output+=String.fromCharCode(bytes[i]);}
+return output;}
+var WINDOWS_1252_TABLE=[0x20ac,0x81,0x201a,0x192,0x201e,0x2026,0x2020,0x2021,0x2c6,0x2030,0x160,0x2039,0x152,0x8d,0x17d,0x8f,0x90,0x2018,0x2019,0x201c,0x201d,0x2022,0x2013,0x2014,0x2dc,0x2122,0x161,0x203a,0x153,0x9d,0x17e,0x178];function decodeByteAsWindows1252(bytes){var output='';var length=bytes.length;for(var i=0;i<length;i++){var byte=bytes[i];output+=String.fromCharCode(byte>=0x80&&byte<0xa0?WINDOWS_1252_TABLE[byte-0x80]:byte);}
+return output;}
+function decodeByteAsCharset(bytes,charset,fatal){if(charset==='windows-1252'){return decodeByteAsWindows1252(bytes);}
+if(typeof TextDecoder==='undefined'){throw "unsupported charset: "+charset;}
+return new TextDecoder(charset,{fatal:!!fatal}).decode(new Uint8Array(bytes));}
+function guessEncoding(bytes){if(isUTF8(bytes)){return 26;}
+try{decodeByteAsCharset(bytes,'gbk',true);return 29;}
+catch(_a){return 3;}}
+function decodeByteWithECI(bytes,encoding){if(encoding===20){return decodeByteAsSJIS(bytes);}
+if(encoding===26){return decodeByteAsUTF8(bytes);}
+if(isLatin1(encoding)){return decodeByteAsLatin1(bytes);}
+var charset=ECI_CHARSETS[encoding];if(charset){try{return decodeByteAsCharset(bytes,charset);}
+catch(_a){}}
+return decodeByteAsUTF8(bytes);}
+var charsetTables={};function getCharsetTable(charset){if(charsetTables[charset]){return charsetTables[charset];}
+var table={};var add=function(bytes){var ch;try{ch=decodeByteAsCharset(bytes,charset,true);}
+catch(_a){return;}
+if(ch.length>0&&ch.length<=2&&ch!=='\ufffd'&&!table.hasOwnProperty(ch)){table[ch]=bytes;}};for(var byte=0;byte<0x100;byte++){add([byte]);}
+if(!isSingleByteCharset(charset)){for(var lead=0x81;lead<0xff;lead++){for(var trail=0x40;trail<0xff;trail++){add([lead,trail]);}}}
+return(charsetTables[charset]=table);}
+function encodeCharset(str,charset){charset=getCharset(charset);var encoding=getECI(charset);if(encoding<0){throw "unsupported charset: "+charset;}
+if(encoding===26){return{encoding:encoding,bytes:UTF8(str)};}
+var bytes=[];var length=str.length;if(encoding===25){for(var i=0;i<length;i++){var code=str.charCodeAt(i);bytes.push(code>>8,code&0xff);}
+return{encoding:encoding,bytes:bytes};}
+var latin1=isLatin1(encoding);var limit=encoding===27||encoding===170?0x80:0x100;var table=latin1?null:getCharsetTable(charset);for(var i=0;i<length;i++){var ch=str.charAt(i);var code=str.charCodeAt(i);if((code&0xfc00)===0xd800&&i+1<length){ch+=str.charAt(++i);}
+if(latin1){if(code>=limit){throw "illegal char: "+ch+" in "+charset;}
+bytes.push(code);}
+else if(table.hasOwnProperty(ch)){bytes.push.apply(bytes,table[ch]);}
+else{throw "illegal char: "+ch+" in "+charset;}}
+return{encoding:encoding,bytes:bytes};}
 function decodeByte(stream,size,encoding){var bytes=[];var characterCountSize=[8,16,16][size];var length=stream.readBits(characterCountSize);for(var i=0;i<length;i++){bytes.push(stream.readBits(8));}
-return{bytes:bytes,data:encoding===20?decodeByteAsSJIS(bytes):decodeByteAsUTF8(bytes)};}
+if(encoding<0){encoding=guessEncoding(bytes);}
+return{bytes:bytes,encoding:encoding,data:decodeByteWithECI(bytes,encoding)};}
 function decodeKanji(stream,size){var data='';var bytes=[];var SJIS_TO_UTF8=getTables().SJIS_TO_UTF8;var characterCountSize=[8,10,12][size];var length=stream.readBits(characterCountSize);for(var i=0;i<length;i++){var k=stream.readBits(13);var c=(Math.floor(k/0xc0)<<8)|k%0xc0;if(c<0x1f00){c+=0x8140;}
 else{c+=0xc140;}
 bytes.push(c>>8,c&0xff);var b=SJIS_TO_UTF8[c];data+=String.fromCharCode(b!=null?b:c);}
 return{bytes:bytes,data:data};}
-function bytesDecode(data,version,errorCorrectionLevel){var _a,_b,_c,_d;var encoding=26;var stream=new BitStream(data);var size=version<=9?0:version<=26?1:2;var result={data:'',bytes:[],chunks:[],version:version,errorCorrectionLevel:errorCorrectionLevel};while(stream.available()>=4){var mode=stream.readBits(4);if(mode===exports.Mode.Terminator){return result;}
+function bytesDecode(data,version,errorCorrectionLevel){var _a,_b,_c,_d;var encoding=-1;var stream=new BitStream(data);var size=version<=9?0:version<=26?1:2;var result={data:'',bytes:[],chunks:[],version:version,errorCorrectionLevel:errorCorrectionLevel};while(stream.available()>=4){var mode=stream.readBits(4);if(mode===exports.Mode.Terminator){return result;}
 else if(mode===exports.Mode.ECI){if(stream.readBits(1)===0){encoding=stream.readBits(7);result.chunks.push({mode:exports.Mode.ECI,encoding:encoding});}
 else if(stream.readBits(1)===0){encoding=stream.readBits(14);result.chunks.push({mode:exports.Mode.ECI,encoding:encoding});}
 else if(stream.readBits(1)===0){encoding=stream.readBits(21);result.chunks.push({mode:exports.Mode.ECI,encoding:encoding});}
@@ -294,7 +384,7 @@ else{result.chunks.push({mode:exports.Mode.ECI,encoding:-1});}}
 else if(mode===exports.Mode.Numeric){var numericResult=decodeNumeric(stream,size);result.data+=numericResult.data;result.chunks.push({mode:exports.Mode.Numeric,data:numericResult.data,bytes:numericResult.bytes});(_a=result.bytes).push.apply(_a,numericResult.bytes);}
 else if(mode===exports.Mode.Alphanumeric){var alphanumericResult=decodeAlphanumeric(stream,size);result.data+=alphanumericResult.data;result.chunks.push({mode:exports.Mode.Alphanumeric,data:alphanumericResult.data,bytes:alphanumericResult.bytes});(_b=result.bytes).push.apply(_b,alphanumericResult.bytes);}
 else if(mode===exports.Mode.StructuredAppend){var structuredAppend={symbols:[stream.readBits(4),stream.readBits(4)],parity:stream.readBits(8)};result.chunks.push(__assign({mode:exports.Mode.StructuredAppend},structuredAppend));}
-else if(mode===exports.Mode.Byte){var byteResult=decodeByte(stream,size,encoding);result.data+=byteResult.data;result.chunks.push({mode:exports.Mode.Byte,data:byteResult.data,bytes:byteResult.bytes});(_c=result.bytes).push.apply(_c,byteResult.bytes);}
+else if(mode===exports.Mode.Byte){var byteResult=decodeByte(stream,size,encoding);result.data+=byteResult.data;result.chunks.push({mode:exports.Mode.Byte,data:byteResult.data,bytes:byteResult.bytes,encoding:byteResult.encoding});(_c=result.bytes).push.apply(_c,byteResult.bytes);}
 else if(mode===exports.Mode.Kanji){var kanjiResult=decodeKanji(stream,size);result.data+=kanjiResult.data;result.chunks.push({mode:exports.Mode.Kanji,data:kanjiResult.data,bytes:kanjiResult.bytes});(_d=result.bytes).push.apply(_d,kanjiResult.bytes);}}
 if(stream.available()===0||stream.readBits(stream.available())===0){return result;}}
 var VERSIONS=[{infoBits:null,versionNumber:1,alignmentPatternCenters:[],errorCorrectionLevels:[{ecCodewordsPerBlock:10,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:7,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:19}]},{ecCodewordsPerBlock:17,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:9}]},{ecCodewordsPerBlock:13,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:13}]}]},{infoBits:null,versionNumber:2,alignmentPatternCenters:[6,18],errorCorrectionLevels:[{ecCodewordsPerBlock:16,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:28}]},{ecCodewordsPerBlock:10,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:34}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:22}]}]},{infoBits:null,versionNumber:3,alignmentPatternCenters:[6,22],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:44}]},{ecCodewordsPerBlock:15,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:55}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:17}]}]},{infoBits:null,versionNumber:4,alignmentPatternCenters:[6,26],errorCorrectionLevels:[{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:32}]},{ecCodewordsPerBlock:20,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:80}]},{ecCodewordsPerBlock:16,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:9}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:24}]}]},{infoBits:null,versionNumber:5,alignmentPatternCenters:[6,30],errorCorrectionLevels:[{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:43}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:108}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:11},{numBlocks:2,dataCodewordsPerBlock:12}]},{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:15},{numBlocks:2,dataCodewordsPerBlock:16}]}]},{infoBits:null,versionNumber:6,alignmentPatternCenters:[6,34],errorCorrectionLevels:[{ecCodewordsPerBlock:16,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:27}]},{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:68}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:15}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:19}]}]},{infoBits:0x07c94,versionNumber:7,alignmentPatternCenters:[6,22,38],errorCorrectionLevels:[{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:31}]},{ecCodewordsPerBlock:20,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:78}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:13},{numBlocks:1,dataCodewordsPerBlock:14}]},{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:14},{numBlocks:4,dataCodewordsPerBlock:15}]}]},{infoBits:0x085bc,versionNumber:8,alignmentPatternCenters:[6,24,42],errorCorrectionLevels:[{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:38},{numBlocks:2,dataCodewordsPerBlock:39}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:97}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:14},{numBlocks:2,dataCodewordsPerBlock:15}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:18},{numBlocks:2,dataCodewordsPerBlock:19}]}]},{infoBits:0x09a99,versionNumber:9,alignmentPatternCenters:[6,26,46],errorCorrectionLevels:[{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:36},{numBlocks:2,dataCodewordsPerBlock:37}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:12},{numBlocks:4,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:20,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:16},{numBlocks:4,dataCodewordsPerBlock:17}]}]},{infoBits:0x0a4d3,versionNumber:10,alignmentPatternCenters:[6,28,50],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:43},{numBlocks:1,dataCodewordsPerBlock:44}]},{ecCodewordsPerBlock:18,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:68},{numBlocks:2,dataCodewordsPerBlock:69}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:15},{numBlocks:2,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:19},{numBlocks:2,dataCodewordsPerBlock:20}]}]},{infoBits:0x0bbf6,versionNumber:11,alignmentPatternCenters:[6,30,54],errorCorrectionLevels:[{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:50},{numBlocks:4,dataCodewordsPerBlock:51}]},{ecCodewordsPerBlock:20,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:81}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:12},{numBlocks:8,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:22},{numBlocks:4,dataCodewordsPerBlock:23}]}]},{infoBits:0x0c762,versionNumber:12,alignmentPatternCenters:[6,32,58],errorCorrectionLevels:[{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:36},{numBlocks:2,dataCodewordsPerBlock:37}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:92},{numBlocks:2,dataCodewordsPerBlock:93}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:7,dataCodewordsPerBlock:14},{numBlocks:4,dataCodewordsPerBlock:15}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:20},{numBlocks:6,dataCodewordsPerBlock:21}]}]},{infoBits:0x0d847,versionNumber:13,alignmentPatternCenters:[6,34,62],errorCorrectionLevels:[{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:37},{numBlocks:1,dataCodewordsPerBlock:38}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:107}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:12,dataCodewordsPerBlock:11},{numBlocks:4,dataCodewordsPerBlock:12}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:20},{numBlocks:4,dataCodewordsPerBlock:21}]}]},{infoBits:0x0e60d,versionNumber:14,alignmentPatternCenters:[6,26,46,66],errorCorrectionLevels:[{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:40},{numBlocks:5,dataCodewordsPerBlock:41}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:115},{numBlocks:1,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:12},{numBlocks:5,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:20,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:16},{numBlocks:5,dataCodewordsPerBlock:17}]}]},{infoBits:0x0f928,versionNumber:15,alignmentPatternCenters:[6,26,48,70],errorCorrectionLevels:[{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:41},{numBlocks:5,dataCodewordsPerBlock:42}]},{ecCodewordsPerBlock:22,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:87},{numBlocks:1,dataCodewordsPerBlock:88}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:12},{numBlocks:7,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:24},{numBlocks:7,dataCodewordsPerBlock:25}]}]},{infoBits:0x10b78,versionNumber:16,alignmentPatternCenters:[6,26,50,74],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:7,dataCodewordsPerBlock:45},{numBlocks:3,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:98},{numBlocks:1,dataCodewordsPerBlock:99}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:15},{numBlocks:13,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:15,dataCodewordsPerBlock:19},{numBlocks:2,dataCodewordsPerBlock:20}]}]},{infoBits:0x1145d,versionNumber:17,alignmentPatternCenters:[6,30,54,78],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:10,dataCodewordsPerBlock:46},{numBlocks:1,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:107},{numBlocks:5,dataCodewordsPerBlock:108}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:14},{numBlocks:17,dataCodewordsPerBlock:15}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:22},{numBlocks:15,dataCodewordsPerBlock:23}]}]},{infoBits:0x12a17,versionNumber:18,alignmentPatternCenters:[6,30,56,82],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:9,dataCodewordsPerBlock:43},{numBlocks:4,dataCodewordsPerBlock:44}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:120},{numBlocks:1,dataCodewordsPerBlock:121}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:14},{numBlocks:19,dataCodewordsPerBlock:15}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:22},{numBlocks:1,dataCodewordsPerBlock:23}]}]},{infoBits:0x13532,versionNumber:19,alignmentPatternCenters:[6,30,58,86],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:44},{numBlocks:11,dataCodewordsPerBlock:45}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:113},{numBlocks:4,dataCodewordsPerBlock:114}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:9,dataCodewordsPerBlock:13},{numBlocks:16,dataCodewordsPerBlock:14}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:21},{numBlocks:4,dataCodewordsPerBlock:22}]}]},{infoBits:0x149a6,versionNumber:20,alignmentPatternCenters:[6,34,62,90],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:41},{numBlocks:13,dataCodewordsPerBlock:42}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:107},{numBlocks:5,dataCodewordsPerBlock:108}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:15,dataCodewordsPerBlock:15},{numBlocks:10,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:15,dataCodewordsPerBlock:24},{numBlocks:5,dataCodewordsPerBlock:25}]}]},{infoBits:0x15683,versionNumber:21,alignmentPatternCenters:[6,28,50,72,94],errorCorrectionLevels:[{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:42}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:116},{numBlocks:4,dataCodewordsPerBlock:117}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:16},{numBlocks:6,dataCodewordsPerBlock:17}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:22},{numBlocks:6,dataCodewordsPerBlock:23}]}]},{infoBits:0x168c9,versionNumber:22,alignmentPatternCenters:[6,26,50,74,98],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:111},{numBlocks:7,dataCodewordsPerBlock:112}]},{ecCodewordsPerBlock:24,ecBlocks:[{numBlocks:34,dataCodewordsPerBlock:13}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:7,dataCodewordsPerBlock:24},{numBlocks:16,dataCodewordsPerBlock:25}]}]},{infoBits:0x177ec,versionNumber:23,alignmentPatternCenters:[6,30,54,74,102],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:47},{numBlocks:14,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:121},{numBlocks:5,dataCodewordsPerBlock:122}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:16,dataCodewordsPerBlock:15},{numBlocks:14,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:24},{numBlocks:14,dataCodewordsPerBlock:25}]}]},{infoBits:0x18ec4,versionNumber:24,alignmentPatternCenters:[6,28,54,80,106],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:45},{numBlocks:14,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:117},{numBlocks:4,dataCodewordsPerBlock:118}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:30,dataCodewordsPerBlock:16},{numBlocks:2,dataCodewordsPerBlock:17}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:24},{numBlocks:16,dataCodewordsPerBlock:25}]}]},{infoBits:0x191e1,versionNumber:25,alignmentPatternCenters:[6,32,58,84,110],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:47},{numBlocks:13,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:26,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:106},{numBlocks:4,dataCodewordsPerBlock:107}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:22,dataCodewordsPerBlock:15},{numBlocks:13,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:7,dataCodewordsPerBlock:24},{numBlocks:22,dataCodewordsPerBlock:25}]}]},{infoBits:0x1afab,versionNumber:26,alignmentPatternCenters:[6,30,58,86,114],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:46},{numBlocks:4,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:10,dataCodewordsPerBlock:114},{numBlocks:2,dataCodewordsPerBlock:115}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:33,dataCodewordsPerBlock:16},{numBlocks:4,dataCodewordsPerBlock:17}]},{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:28,dataCodewordsPerBlock:22},{numBlocks:6,dataCodewordsPerBlock:23}]}]},{infoBits:0x1b08e,versionNumber:27,alignmentPatternCenters:[6,34,62,90,118],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:22,dataCodewordsPerBlock:45},{numBlocks:3,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:122},{numBlocks:4,dataCodewordsPerBlock:123}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:12,dataCodewordsPerBlock:15},{numBlocks:28,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:8,dataCodewordsPerBlock:23},{numBlocks:26,dataCodewordsPerBlock:24}]}]},{infoBits:0x1cc1a,versionNumber:28,alignmentPatternCenters:[6,26,50,74,98,122],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:45},{numBlocks:23,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:3,dataCodewordsPerBlock:117},{numBlocks:10,dataCodewordsPerBlock:118}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:15},{numBlocks:31,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:24},{numBlocks:31,dataCodewordsPerBlock:25}]}]},{infoBits:0x1d33f,versionNumber:29,alignmentPatternCenters:[6,30,54,78,102,126],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:21,dataCodewordsPerBlock:45},{numBlocks:7,dataCodewordsPerBlock:46}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:7,dataCodewordsPerBlock:116},{numBlocks:7,dataCodewordsPerBlock:117}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:15},{numBlocks:26,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:1,dataCodewordsPerBlock:23},{numBlocks:37,dataCodewordsPerBlock:24}]}]},{infoBits:0x1ed75,versionNumber:30,alignmentPatternCenters:[6,26,52,78,104,130],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:47},{numBlocks:10,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:5,dataCodewordsPerBlock:115},{numBlocks:10,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:23,dataCodewordsPerBlock:15},{numBlocks:25,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:15,dataCodewordsPerBlock:24},{numBlocks:25,dataCodewordsPerBlock:25}]}]},{infoBits:0x1f250,versionNumber:31,alignmentPatternCenters:[6,30,56,82,108,134],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:46},{numBlocks:29,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:13,dataCodewordsPerBlock:115},{numBlocks:3,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:23,dataCodewordsPerBlock:15},{numBlocks:28,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:42,dataCodewordsPerBlock:24},{numBlocks:1,dataCodewordsPerBlock:25}]}]},{infoBits:0x209d5,versionNumber:32,alignmentPatternCenters:[6,34,60,86,112,138],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:10,dataCodewordsPerBlock:46},{numBlocks:23,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:115}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:15},{numBlocks:35,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:10,dataCodewordsPerBlock:24},{numBlocks:35,dataCodewordsPerBlock:25}]}]},{infoBits:0x216f0,versionNumber:33,alignmentPatternCenters:[6,30,58,86,114,142],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:14,dataCodewordsPerBlock:46},{numBlocks:21,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:115},{numBlocks:1,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:11,dataCodewordsPerBlock:15},{numBlocks:46,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:29,dataCodewordsPerBlock:24},{numBlocks:19,dataCodewordsPerBlock:25}]}]},{infoBits:0x228ba,versionNumber:34,alignmentPatternCenters:[6,34,62,90,118,146],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:14,dataCodewordsPerBlock:46},{numBlocks:23,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:13,dataCodewordsPerBlock:115},{numBlocks:6,dataCodewordsPerBlock:116}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:59,dataCodewordsPerBlock:16},{numBlocks:1,dataCodewordsPerBlock:17}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:44,dataCodewordsPerBlock:24},{numBlocks:7,dataCodewordsPerBlock:25}]}]},{infoBits:0x2379f,versionNumber:35,alignmentPatternCenters:[6,30,54,78,102,126,150],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:12,dataCodewordsPerBlock:47},{numBlocks:26,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:12,dataCodewordsPerBlock:121},{numBlocks:7,dataCodewordsPerBlock:122}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:22,dataCodewordsPerBlock:15},{numBlocks:41,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:39,dataCodewordsPerBlock:24},{numBlocks:14,dataCodewordsPerBlock:25}]}]},{infoBits:0x24b0b,versionNumber:36,alignmentPatternCenters:[6,24,50,76,102,128,154],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:47},{numBlocks:34,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:6,dataCodewordsPerBlock:121},{numBlocks:14,dataCodewordsPerBlock:122}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:2,dataCodewordsPerBlock:15},{numBlocks:64,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:46,dataCodewordsPerBlock:24},{numBlocks:10,dataCodewordsPerBlock:25}]}]},{infoBits:0x2542e,versionNumber:37,alignmentPatternCenters:[6,28,54,80,106,132,158],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:29,dataCodewordsPerBlock:46},{numBlocks:14,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:17,dataCodewordsPerBlock:122},{numBlocks:4,dataCodewordsPerBlock:123}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:24,dataCodewordsPerBlock:15},{numBlocks:46,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:49,dataCodewordsPerBlock:24},{numBlocks:10,dataCodewordsPerBlock:25}]}]},{infoBits:0x26a64,versionNumber:38,alignmentPatternCenters:[6,32,58,84,110,136,162],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:13,dataCodewordsPerBlock:46},{numBlocks:32,dataCodewordsPerBlock:47}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:4,dataCodewordsPerBlock:122},{numBlocks:18,dataCodewordsPerBlock:123}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:42,dataCodewordsPerBlock:15},{numBlocks:32,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:48,dataCodewordsPerBlock:24},{numBlocks:14,dataCodewordsPerBlock:25}]}]},{infoBits:0x27541,versionNumber:39,alignmentPatternCenters:[6,26,54,82,110,138,166],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:40,dataCodewordsPerBlock:47},{numBlocks:7,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:20,dataCodewordsPerBlock:117},{numBlocks:4,dataCodewordsPerBlock:118}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:10,dataCodewordsPerBlock:15},{numBlocks:67,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:43,dataCodewordsPerBlock:24},{numBlocks:22,dataCodewordsPerBlock:25}]}]},{infoBits:0x28c69,versionNumber:40,alignmentPatternCenters:[6,30,58,86,114,142,170],errorCorrectionLevels:[{ecCodewordsPerBlock:28,ecBlocks:[{numBlocks:18,dataCodewordsPerBlock:47},{numBlocks:31,dataCodewordsPerBlock:48}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:19,dataCodewordsPerBlock:118},{numBlocks:6,dataCodewordsPerBlock:119}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:20,dataCodewordsPerBlock:15},{numBlocks:61,dataCodewordsPerBlock:16}]},{ecCodewordsPerBlock:30,ecBlocks:[{numBlocks:34,dataCodewordsPerBlock:24},{numBlocks:34,dataCodewordsPerBlock:25}]}]}];function numBitsDiffering(x,y){var z=x^y;var bitCount=0;while(z){bitCount++;z&=z-1;}
@@ -334,7 +424,7 @@ var formatInfo=readFormatInformation(matrix);if(!formatInfo){return null;}
 var codewords=readCodewords(matrix,version,formatInfo);var dataBlocks=getDataBlocks(codewords,version,formatInfo.errorCorrectionLevel);if(!dataBlocks){return null;}
 var totalBytes=dataBlocks.reduce(function(a,b){return a+b.numDataCodewords;},0);var resultBytes=new Uint8ClampedArray(totalBytes);var resultIndex=0;for(var _i=0,dataBlocks_3=dataBlocks;_i<dataBlocks_3.length;_i++){var dataBlock=dataBlocks_3[_i];var correctedBytes=rsDecode(dataBlock.codewords,dataBlock.codewords.length-dataBlock.numDataCodewords);if(!correctedBytes){return null;}
 for(var i=0;i<dataBlock.numDataCodewords;i++){resultBytes[resultIndex++]=correctedBytes[i];}}
-try{return bytesDecode(resultBytes,version.versionNumber,formatInfo.errorCorrectionLevel);}
+try{var result=bytesDecode(resultBytes,version.versionNumber,formatInfo.errorCorrectionLevel);result.mask=formatInfo.dataMask;return result;}
 catch(_a){return null;}}
 function decode(matrix){if(matrix==null){return null;}
 var result=decodeMatrix(matrix);if(result){return result;}
@@ -360,15 +450,69 @@ for(var verticalRegion=0;verticalRegion<verticalRegionCount;verticalRegion++){fo
 var threshold=sum/25;for(var xRegion=0;xRegion<REGION_SIZE;xRegion++){for(var yRegion=0;yRegion<REGION_SIZE;yRegion++){var x=hortizontalRegion*REGION_SIZE+xRegion;var y=verticalRegion*REGION_SIZE+yRegion;var lum=greyscalePixels.get(x,y);binarized.set(x,y,lum<=threshold);if(returnInverted){inverted.set(x,y,!(lum<=threshold));}}}}}
 if(returnInverted){return{binarized:binarized,inverted:inverted};}
 return{binarized:binarized};}
+function toResult(location,extracted,decoded){var dimension=location.dimension;return __assign({},decoded,{location:{topLeft:extracted.mappingFunction(0,0),topRight:extracted.mappingFunction(dimension,0),bottomLeft:extracted.mappingFunction(0,dimension),bottomRight:extracted.mappingFunction(dimension,dimension),topLeftFinder:location.topLeft,topRightFinder:location.topRight,bottomLeftFinder:location.bottomLeft,bottomRightAlignment:decoded.version>1?location.alignmentPattern:null}});}
 function scan(matrix){var location=locate(matrix);if(!location){return null;}
 var extracted=extract(matrix,location);var decoded=decode(extracted.matrix);if(!decoded){return null;}
-var dimension=location.dimension;return __assign({},decoded,{location:{topLeft:extracted.mappingFunction(0,0),topRight:extracted.mappingFunction(dimension,0),bottomLeft:extracted.mappingFunction(0,dimension),bottomRight:extracted.mappingFunction(dimension,dimension),topLeftFinder:location.topLeft,topRightFinder:location.topRight,bottomLeftFinder:location.bottomLeft,bottomRightAlignment:decoded.version>1?location.alignmentPattern:null}});}
-var defaultOptions={inversionAttempts:'attemptBoth'};function disposeImageEvents(image){image.onload=null;image.onerror=null;}
+return toResult(location,extracted,decoded);}
+var MAX_FINDERPATTERNS_TO_GROUP=48;var MAX_SYMBOLS_TO_SEARCH=16;var MAX_GROUP_SIDE_RATIO=2;var MAX_GROUP_SIZE_RATIO=2;var MAX_FAILED_GROUPS=16;function scoreGroup(pattern1,pattern2,pattern3){var _a=reorderFinderPatterns(pattern1,pattern2,pattern3),topLeft=_a.topLeft,topRight=_a.topRight,bottomLeft=_a.bottomLeft;var top=distance(topLeft,topRight);var side=distance(topLeft,bottomLeft);var sizes=[pattern1.size,pattern2.size,pattern3.size];var size=(sizes[0]+sizes[1]+sizes[2])/3;var sideRatio=Math.max(top,side)/Math.min(top,side);var sizeRatio=Math.max.apply(Math,sizes)/Math.min.apply(Math,sizes);if(Math.min(top,side)<size*1.5||sideRatio>MAX_GROUP_SIDE_RATIO||sizeRatio>MAX_GROUP_SIZE_RATIO){return null;}
+var cos=((topRight.x-topLeft.x)*(bottomLeft.x-topLeft.x)+(topRight.y-topLeft.y)*(bottomLeft.y-topLeft.y))/(top*side);if(Math.abs(cos)>=0.5){return null;}
+return(pattern1.score+pattern2.score+pattern3.score+1)*sideRatio*sideRatio*sizeRatio*(1+Math.abs(cos));}
+function groupAllFinderPatterns(finderPatterns){var groups=[];var length=Math.min(finderPatterns.length,MAX_FINDERPATTERNS_TO_GROUP);for(var i=0;i<length;i++){for(var j=i+1;j<length;j++){for(var k=j+1;k<length;k++){var points=[finderPatterns[i],finderPatterns[j],finderPatterns[k]];var score=scoreGroup(points[0],points[1],points[2]);if(score!==null){groups.push({points:points,score:score});}}}}
+return groups.sort(function(a,b){return a.score-b.score;});}
+function findAcceptedPatterns(finderPatterns,accepted){var used=[];accepted.results.forEach(function(result){var location=result.location;var points=[location.topLeftFinder,location.topRightFinder,location.bottomLeftFinder].map(function(point){return finderPatterns.filter(function(pattern){return distance(pattern,point)<pattern.size;})[0];}).filter(function(point){return!!point;});used.push.apply(used,points);});return used;}
+function scanAll(matrix,accepted){var patterns=findPatterns(matrix);var finderPatterns=patterns.finderPatterns.slice(0,MAX_FINDERPATTERNS_TO_GROUP);var alignmentPatterns=null;var failed=0;var tryGroup=function(points){alignmentPatterns=alignmentPatterns||scoreAlignmentPatterns(matrix,patterns.alignmentPatternQuads);var location=locateGroup(matrix,points,alignmentPatterns);var extracted=location&&extract(matrix,location);var decoded=extracted&&decode(extracted.matrix);if(!decoded){return false;}
+var result=toResult(location,extracted,decoded);if(!accepted.results.some(function(other){return isSameSymbol(other,result);})){accepted.results.push(result);}
+return true;};var best=findBestGroup(patterns.finderPatterns);if(best){tryGroup(best);}
+var used=findAcceptedPatterns(finderPatterns,accepted);var groups=groupAllFinderPatterns(finderPatterns);for(var i=0;i<groups.length&&accepted.results.length<MAX_SYMBOLS_TO_SEARCH&&failed<MAX_FAILED_GROUPS&&finderPatterns.length-used.length>=3;i++){var group=groups[i];var points=group.points;if(points.some(function(point){return used.indexOf(point)!==-1;})){continue;}
+if(!tryGroup(points)){failed++;continue;}
+used.push.apply(used,points);}
+return accepted.results;}
+function getCenter(location){return{x:(location.topLeft.x+location.topRight.x+location.bottomRight.x+location.bottomLeft.x)/4,y:(location.topLeft.y+location.topRight.y+location.bottomRight.y+location.bottomLeft.y)/4};}
+function isSameSymbol(a,b){return a.data===b.data&&distance(getCenter(a.location),getCenter(b.location))<distance(a.location.topLeft,a.location.topRight)/2;}
+function scanBinarized(options,binarized,inverted){var tryInvertedFirst=options.inversionAttempts==='onlyInvert'||options.inversionAttempts==='invertFirst';var result=scan(tryInvertedFirst?inverted:binarized);if(!result&&(options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst')){result=scan(tryInvertedFirst?binarized:inverted);}
+return result;}
+function getLuminance(data,width,height){var length=width*height;var luminance=new Uint8ClampedArray(length);for(var i=0;i<length;i++){luminance[i]=0.2126*data[i*4]+0.7152*data[i*4+1]+0.0722*data[i*4+2];}
+return luminance;}
+function toRGBA(luminance){var length=luminance.length;var data=new Uint8ClampedArray(length*4);for(var i=0;i<length;i++){data[i*4]=data[i*4+1]=data[i*4+2]=luminance[i];data[i*4+3]=255;}
+return data;}
+function getHistogram(luminance){var histogram=new Array(256);for(var i=0;i<256;i++){histogram[i]=0;}
+for(var i=0;i<luminance.length;i++){histogram[luminance[i]]++;}
+return histogram;}
+function getOtsuThreshold(histogram,total){var sumAll=0;for(var i=0;i<256;i++){sumAll+=i*histogram[i];}
+var sumBackground=0;var weightBackground=0;var best=0;var threshold=127;for(var i=0;i<256;i++){weightBackground+=histogram[i];if(weightBackground===0){continue;}
+var weightForeground=total-weightBackground;if(weightForeground===0){break;}
+sumBackground+=i*histogram[i];var meanBackground=sumBackground/weightBackground;var meanForeground=(sumAll-sumBackground)/weightForeground;var between=weightBackground*weightForeground*Math.pow(meanBackground-meanForeground,2);if(between>best){best=between;threshold=i;}}
+return threshold;}
+function stretchContrast(luminance,histogram){var total=luminance.length;var low=0;var high=255;var count=0;while(low<255&&(count+=histogram[low])<total*0.01){low++;}
+count=0;while(high>0&&(count+=histogram[high])<total*0.01){high--;}
+if(high-low<2){return null;}
+var output=new Uint8ClampedArray(total);for(var i=0;i<total;i++){output[i]=(luminance[i]-low)*255/(high-low);}
+return output;}
+function sampleBilinear(luminance,width,height,x,y){if(x<-0.5||y<-0.5||x>width-0.5||y>height-0.5){return 255;}
+var x0=numBetween(Math.floor(x),0,width-1);var y0=numBetween(Math.floor(y),0,height-1);var x1=Math.min(width-1,x0+1);var y1=Math.min(height-1,y0+1);var fx=numBetween(x-x0,0,1);var fy=numBetween(y-y0,0,1);var top=luminance[y0*width+x0]*(1-fx)+luminance[y0*width+x1]*fx;var bottom=luminance[y1*width+x0]*(1-fx)+luminance[y1*width+x1]*fx;return top*(1-fy)+bottom*fy;}
+function resample(luminance,width,height,left,top,cropWidth,cropHeight,scale){var newWidth=Math.max(1,Math.round(cropWidth*scale));var newHeight=Math.max(1,Math.round(cropHeight*scale));var output=new Uint8ClampedArray(newWidth*newHeight);var step=Math.max(1,Math.round(1/scale));for(var y=0;y<newHeight;y++){for(var x=0;x<newWidth;x++){var sx=left+x/scale;var sy=top+y/scale;if(scale<1){var sum=0;var count=0;for(var dy=0;dy<step;dy++){for(var dx=0;dx<step;dx++){var px=Math.floor(sx)+dx;var py=Math.floor(sy)+dy;if(px<width&&py<height){sum+=luminance[py*width+px];count++;}}}
+output[y*newWidth+x]=count?sum/count:255;}
+else{output[y*newWidth+x]=sampleBilinear(luminance,width,height,sx+0.5/scale-0.5,sy+0.5/scale-0.5);}}}
+return{data:output,width:newWidth,height:newHeight,toSource:function(point){return{x:left+point.x/scale,y:top+point.y/scale};}};}
+function rotate(luminance,width,height,angle){var radians=angle*Math.PI/180;var cos=Math.cos(radians);var sin=Math.sin(radians);var newWidth=Math.ceil(Math.abs(width*cos)+Math.abs(height*sin));var newHeight=Math.ceil(Math.abs(width*sin)+Math.abs(height*cos));var toSource=function(point){var dx=point.x-newWidth/2;var dy=point.y-newHeight/2;return{x:dx*cos+dy*sin+width/2,y:-dx*sin+dy*cos+height/2};};var output=new Uint8ClampedArray(newWidth*newHeight);for(var y=0;y<newHeight;y++){for(var x=0;x<newWidth;x++){var source=toSource({x:x+0.5,y:y+0.5});output[y*newWidth+x]=sampleBilinear(luminance,width,height,source.x-0.5,source.y-0.5);}}
+return{data:output,width:newWidth,height:newHeight,toSource:toSource};}
+function thresholdBinarize(luminance,width,height,threshold){var binarized=BitMatrix.createEmpty(width,height);var inverted=BitMatrix.createEmpty(width,height);for(var i=0;i<luminance.length;i++){binarized.data[i]=luminance[i]<=threshold?1:0;inverted.data[i]=1-binarized.data[i];}
+return{binarized:binarized,inverted:inverted};}
+function mapResult(result,toSource,attempt){var location=result.location;var mapped={};for(var key in location){mapped[key]=location[key]?toSource(location[key]):location[key];}
+return __assign({},result,{location:mapped,attempt:attempt});}
+var TRY_HARDER_SCALES=[0.5,0.25,2];var TRY_HARDER_THRESHOLDS=[1,0.8,1.2];var TRY_HARDER_ROTATIONS=[45,22.5,-22.5];var MAX_CROPS_TO_SEARCH=4;var CROP_TARGET_SIZE=480;function tryHarder(data,width,height,options){var luminance=getLuminance(data,width,height);var histogram=getHistogram(luminance);var identity=function(point){return{x:point.x,y:point.y};};var scanLuminance=function(image){var _a=binarize(toRGBA(image.data),image.width,image.height,true),binarized=_a.binarized,inverted=_a.inverted;return scanBinarized(options,binarized,inverted);};var attempts=[];attempts.push(function(){var stretched=stretchContrast(luminance,histogram);if(!stretched){return null;}
+var result=scanLuminance({data:stretched,width:width,height:height});return result&&mapResult(result,identity,{strategy:'contrast'});});TRY_HARDER_SCALES.forEach(function(scale){attempts.push(function(){if(Math.min(width,height)*scale<64||Math.max(width,height)*scale>2048){return null;}
+var image=resample(luminance,width,height,0,0,width,height,scale);var result=scanLuminance(image);return result&&mapResult(result,image.toSource,{strategy:'scale',scale:scale});});});var otsu=getOtsuThreshold(histogram,luminance.length);TRY_HARDER_THRESHOLDS.forEach(function(factor){attempts.push(function(){var threshold=Math.round(numBetween(otsu*factor,1,254));var _a=thresholdBinarize(luminance,width,height,threshold),binarized=_a.binarized,inverted=_a.inverted;var result=scanBinarized(options,binarized,inverted);return result&&mapResult(result,identity,{strategy:'threshold',threshold:threshold});});});attempts.push(function(){var matrix=binarize(data,width,height,false).binarized;var groups=groupAllFinderPatterns(findPatterns(matrix).finderPatterns).slice(0,MAX_CROPS_TO_SEARCH);for(var i=0;i<groups.length;i++){var points=groups[i].points;var xs=points.map(function(p){return p.x;});var ys=points.map(function(p){return p.y;});var size=Math.max(Math.max.apply(Math,xs)-Math.min.apply(Math,xs),Math.max.apply(Math,ys)-Math.min.apply(Math,ys));var padding=size*0.5+points[0].size*2;var left=Math.max(0,Math.floor(Math.min.apply(Math,xs)-padding));var top=Math.max(0,Math.floor(Math.min.apply(Math,ys)-padding));var right=Math.min(width,Math.ceil(Math.max.apply(Math,xs)+padding));var bottom=Math.min(height,Math.ceil(Math.max.apply(Math,ys)+padding));var scale=numBetween(CROP_TARGET_SIZE/Math.max(right-left,bottom-top),1,4);var image=resample(luminance,width,height,left,top,right-left,bottom-top,scale);var result=scanLuminance(image);if(result){return mapResult(result,image.toSource,{strategy:'crop',scale:scale,crop:{x:left,y:top,width:right-left,height:bottom-top}});}}
+return null;});TRY_HARDER_ROTATIONS.forEach(function(angle){attempts.push(function(){var image=rotate(luminance,width,height,angle);var result=scanLuminance(image);return result&&mapResult(result,image.toSource,{strategy:'rotate',rotation:angle});});});for(var i=0;i<attempts.length;i++){var result=attempts[i]();if(result){return result;}}
+return null;}
+var defaultOptions={inversionAttempts:'attemptBoth',tryHarder:false};function disposeImageEvents(image){image.onload=null;image.onerror=null;}
 var Decoder=(function(){function Decoder(){this.options=defaultOptions;}
 Decoder.prototype.setOptions=function(options){if(options===void 0){options={};}
-options=options||{};this.options=__assign({},defaultOptions,options);};Decoder.prototype.decode=function(data,width,height){var options=this.options;var shouldInvert=options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst';var tryInvertedFirst=options.inversionAttempts==='onlyInvert'||options.inversionAttempts==='invertFirst';var _a=binarize(data,width,height,shouldInvert),binarized=_a.binarized,inverted=_a.inverted;var result=scan(tryInvertedFirst?inverted:binarized);if(!result&&(options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst')){result=scan(tryInvertedFirst?binarized:inverted);}
-return result;};Decoder.prototype.scan=function(src){var _this=this;return new Promise(function(resolve,reject){var image=new Image();image.crossOrigin='anonymous';image.onload=function(){disposeImageEvents(image);var width=image.width;var height=image.height;var canvas=document.createElement('canvas');var context=canvas.getContext('2d');canvas.width=width;canvas.height=height;context.drawImage(image,0,0);var data=context.getImageData(0,0,width,height).data;var result=_this.decode(data,width,height);if(result){return resolve(result);}
-return reject('failed to decode image');};image.onerror=function(){disposeImageEvents(image);reject("failed to load image: "+src);};image.src=src;});};return Decoder;}());var QRKanji=(function(_super){__extends(QRKanji,_super);function QRKanji(data){var _this=_super.call(this,exports.Mode.Kanji,data)||this;_this.bytes=SJIS(data);return _this;}
+options=options||{};this.options=__assign({},defaultOptions,options);};Decoder.prototype.decode=function(data,width,height){var options=this.options;var shouldInvert=options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst';var _a=binarize(data,width,height,shouldInvert),binarized=_a.binarized,inverted=_a.inverted;var result=scanBinarized(options,binarized,inverted);if(!result&&options.tryHarder){result=tryHarder(data,width,height,options);}
+return result;};Decoder.prototype.decodeAll=function(data,width,height){var options=this.options;var shouldInvert=options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst';var tryInvertedFirst=options.inversionAttempts==='onlyInvert'||options.inversionAttempts==='invertFirst';var _a=binarize(data,width,height,shouldInvert),binarized=_a.binarized,inverted=_a.inverted;var accepted={results:[]};var results=scanAll(tryInvertedFirst?inverted:binarized,accepted);if(options.inversionAttempts==='attemptBoth'||options.inversionAttempts==='invertFirst'){results=scanAll(tryInvertedFirst?binarized:inverted,accepted);}
+if(!results.length&&options.tryHarder){var result=tryHarder(data,width,height,options);result&&results.push(result);}
+return results;};Decoder.prototype.scan=function(src){var _this=this;return new Promise(function(resolve,reject){var image=new Image();image.crossOrigin='anonymous';image.onload=function(){disposeImageEvents(image);var width=image.width;var height=image.height;var canvas=document.createElement('canvas');var context=canvas.getContext('2d');canvas.width=width;canvas.height=height;context.drawImage(image,0,0);var data=context.getImageData(0,0,width,height).data;var result=_this.decode(data,width,height);if(result){return resolve(result);}
+return reject('failed to decode image');};image.onerror=function(){disposeImageEvents(image);reject("failed to load image: "+src);};image.src=src;});};Decoder.getCharset=function(encoding){return ECI_CHARSETS[encoding]||(isLatin1(encoding)?'iso-8859-1':null);};return Decoder;}());var QRKanji=(function(_super){__extends(QRKanji,_super);function QRKanji(data){var _this=_super.call(this,exports.Mode.Kanji,data)||this;_this.bytes=SJIS(data);return _this;}
 QRKanji.prototype.write=function(buffer){var index=0;var bytes=this.bytes;var length=bytes.length;while(index+1<length){var code=((0xff&bytes[index])<<8)|(0xff&bytes[index+1]);if(0x8140<=code&&code<=0x9ffc){code-=0x8140;}
 else if(0xe040<=code&&code<=0xebbf){code-=0xc140;}
 code=((code>>8)&0xff)*0xc0+(code&0xff);buffer.put(code,13);index+=2;}};QRKanji.prototype.getLength=function(){return Math.floor(this.bytes.length/2);};return QRKanji;}(QRData));function UTF16(str){var bytes=[];var length=str.length;for(var i=0;i<length;i++){bytes.push(str.charCodeAt(i));}
@@ -0,0 +1,174 @@
+// Node 入口：不依赖 canvas / Image，直接解码 RGBA 数据或 PNG / JPEG / GIF 文件，编码输出 SVG、PNG 或终端字符
+// 浏览器里仍然用 qrcode.js，这里导出它的全部内容再加上下面几个函数
+var fs = require('fs');
+var QRCode = require('./qrcode.js');
+var image = require('./qrcode.image.js');
+
+var readImage = image.readImage;
+
+// toSVG() 和 toPNG() 共用的默认模块大小（像素），留白默认 4 个模块宽
+var DEFAULT_MODULE_SIZE = 4;
+
+// 半透明像素按白底合成，透明背景的 PNG 不会被当成黑色
+function flatten(pixels){
+  var data = new Uint8ClampedArray(pixels.data.length);
+
+  for(var i = 0; i < data.length; i += 4){
+    var alpha = pixels.data[i + 3] / 255;
+
+    data[i] = pixels.data[i] * alpha + 255 * (1 - alpha);
+    data[i + 1] = pixels.data[i + 1] * alpha + 255 * (1 - alpha);
+    data[i + 2] = pixels.data[i + 2] * alpha + 255 * (1 - alpha);
+    data[i + 3] = 255;
+  }
+
+  return {data: data, width: pixels.width, height: pixels.height};
+}
+
+// source 是图片文件内容（Buffer），或 {data, width, height} 形式的 RGBA 数据
+// options 同 Decoder.setOptions()，另加 all: true 时返回全部结果（数组），否则返回第一个结果或 null
+function decode(source, options){
+  options = options || {};
+
+  var pixels = Buffer.isBuffer(source) ? readImage(source) : source;
+
+  if(!pixels || !pixels.data || pixels.data.length < pixels.width * pixels.height * 4){
+    throw 'illegal image data';
+  }
+
+  var decoder = new QRCode.Decoder();
+  var rgba = flatten(pixels);
+
+  decoder.setOptions({inversionAttempts: options.inversionAttempts || 'attemptBoth', tryHarder: !!options.tryHarder});
+
+  return options.all ? decoder.decodeAll(rgba.data, rgba.width, rgba.height) : decoder.decode(rgba.data, rgba.width, rgba.height);
+}
+
+function decodeFile(path, options){
+  return decode(fs.readFileSync(path), options);
+}
+
+// options.level: 'L' | 'M' | 'Q' | 'H'；options.version: 0（自动）到 40
+// options.eci: 字符集名称（如 'shift_jis'）或 ECI 编号（如 20），指定后总会写入 ECI 头
+function encode(text, options){
+  options = options || {};
+
+  var encoder = new QRCode.Encoder();
+  var level = QRCode.ErrorCorrectionLevel[String(options.level || 'M').toUpperCase()];
+  var charset = options.eci;
+
+  if(typeof level !== 'number'){throw 'illegal error correction level: ' + options.level;}
+
+  if(/^\d+$/.test(charset)){
+    charset = QRCode.Decoder.getCharset(Number(charset));
+
+    if(!charset){throw 'unsupported eci: ' + options.eci;}
+  }
+
+  encoder.setErrorCorrectionLevel(level);
+  encoder.setVersion(options.version || 0);
+
+  if(charset){
+    encoder.setEncodingHint(true);
+    encoder.write(new QRCode.QRByte(text, String(charset)));
+  } else {
+    encoder.write(text);
+  }
+
+  encoder.make();
+
+  return encoder;
+}
+
+// 参数同 Encoder.toStyledSVG()，只是 moduleSize 默认 DEFAULT_MODULE_SIZE
+function toSVG(encoder, options){
+  options = options || {};
+
+  return encoder.toStyledSVG(Object.assign({}, options, {
+    moduleSize: options.moduleSize === void 0 ? DEFAULT_MODULE_SIZE : options.moduleSize
+  }));
+}
+
+function parseColor(color, fallback){
+  var match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || fallback);
+
+  if(!match){throw 'illegal color: ' + color;}
+
+  var hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+
+  return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)];
+}
+
+// moduleSize、margin 单位是像素，默认值与 toSVG() 相同，同样的参数输出的图片尺寸一致；颜色只支持 #rgb / #rrggbb
+function toPNG(encoder, options){
+  options = options || {};
+
+  var moduleSize = options.moduleSize === void 0 ? DEFAULT_MODULE_SIZE : Math.max(1, options.moduleSize >> 0);
+  var margin = options.margin === void 0 ? moduleSize * 4 : Math.max(0, options.margin >> 0);
+  var foreground = parseColor(options.foreground, '#000000');
+  var background = parseColor(options.background, '#ffffff');
+  var moduleCount = encoder.getModuleCount();
+  var size = moduleSize * moduleCount + margin * 2;
+  var pixels = Buffer.alloc(size * size * 3);
+
+  for(var y = 0; y < size; y++){
+    for(var x = 0; x < size; x++){
+      var dark = margin <= x && x < size - margin && margin <= y && y < size - margin
+        && encoder.isDark(((y - margin) / moduleSize) >> 0, ((x - margin) / moduleSize) >> 0);
+      var color = dark ? foreground : background;
+
+      pixels[(y * size + x) * 3] = color[0];
+      pixels[(y * size + x) * 3 + 1] = color[1];
+      pixels[(y * size + x) * 3 + 2] = color[2];
+    }
+  }
+
+  return image.writePNG(pixels, size, size);
+}
+
+// 每个字符表示上下两个模块；终端多是深色背景，默认把浅色模块画成方块，invert: true 时反过来
+// margin 以模块为单位，默认 2
+function toTerminal(encoder, options){
+  options = options || {};
+
+  var margin = options.margin === void 0 ? 2 : Math.max(0, options.margin >> 0);
+  var moduleCount = encoder.getModuleCount();
+  var size = moduleCount + margin * 2;
+  var lines = [];
+
+  var isFilled = function(row, col){
+    row -= margin;
+    col -= margin;
+
+    var dark = row >= 0 && col >= 0 && row < moduleCount && col < moduleCount && encoder.isDark(row, col);
+
+    return options.invert ? dark : !dark;
+  };
+
+  for(var row = 0; row < size; row += 2){
+    var line = '';
+
+    for(var col = 0; col < size; col++){
+      var top = isFilled(row, col);
+      var bottom = row + 1 < size && isFilled(row + 1, col);
+
+      line += top ? (bottom ? '█' : '▀') : (bottom ? '▄' : ' ');
+    }
+
+    lines.push(line);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+Object.keys(QRCode).forEach(function(key){
+  exports[key] = QRCode[key];
+});
+
+exports.readImage = readImage;
+exports.decode = decode;
+exports.decodeFile = decodeFile;
+exports.encode = encode;
+exports.toSVG = toSVG;
+exports.toPNG = toPNG;
+exports.toTerminal = toTerminal;
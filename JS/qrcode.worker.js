@@ -0,0 +1,43 @@
+// 在 Web Worker 里解码，避免大图卡住页面
+// 收到：{id, type: 'decode' | 'decodeAll', options, data, width, height} 或 {id, type, options, bitmap}
+// 回复：{id, results} 或 {id, error}，results 与 Decoder.decodeAll() 返回的结构相同
+importScripts('./qrcode.js');
+
+var decoder = new QRCode.Decoder();
+
+function getPixels(message){
+  if(message.bitmap){
+    var bitmap = message.bitmap;
+    var canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    var context = canvas.getContext('2d');
+
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close && bitmap.close();
+
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  return {data: new Uint8ClampedArray(message.data), width: message.width, height: message.height};
+}
+
+self.onmessage = function(e){
+  var message = e.data;
+
+  try {
+    var image = getPixels(message);
+    var results;
+
+    decoder.setOptions(message.options);
+
+    if(message.type === 'decodeAll'){
+      results = decoder.decodeAll(image.data, image.width, image.height);
+    } else {
+      var result = decoder.decode(image.data, image.width, image.height);
+      results = result ? [result] : [];
+    }
+
+    self.postMessage({id: message.id, results: results});
+  } catch(error) {
+    self.postMessage({id: message.id, error: String(error)});
+  }
+};
@@ -0,0 +1,89 @@
+// Service Worker：把页面和脚本全部缓存下来，断网（飞行模式）时也能打开和解码
+// 修改了下面任何一个文件后把 CACHE_NAME 的版本号加一，旧缓存会在 activate 时删除
+var CACHE_NAME = 'qrcode-v15';
+var SHARE_CACHE = 'qrcode-share';
+var SHARED_IMAGE = './shared-image';
+
+var ASSETS = [
+  './',
+  './index.html',
+  './index2.html',
+  './indexlocal.html',
+  './benchmark.html',
+  './manifest.webmanifest',
+  './JS/qrcode.js',
+  './JS/qrcode.worker.js',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+
+self.addEventListener('install', function(e){
+  e.waitUntil(caches.open(CACHE_NAME).then(function(cache){
+    return cache.addAll(ASSETS);
+  }).then(function(){
+    return self.skipWaiting();
+  }));
+});
+
+self.addEventListener('activate', function(e){
+  e.waitUntil(caches.keys().then(function(keys){
+    return Promise.all(keys.filter(function(key){
+      return key !== CACHE_NAME && key !== SHARE_CACHE;
+    }).map(function(key){
+      return caches.delete(key);
+    }));
+  }).then(function(){
+    return self.clients.claim();
+  }));
+});
+
+// Web Share Target：别的应用分享过来的图片先存进缓存，再跳转到 index.html?shared 由页面取出解码
+// 分享的是链接或文字时，把链接带在 ?url= 里
+function receiveShare(request){
+  return request.formData().then(function(form){
+    var image = form.getAll('image').filter(function(file){
+      return file && /^image\//.test(file.type);
+    })[0];
+
+    if(!image){
+      var text = form.get('url') || form.get('text') || '';
+      return Response.redirect('./index.html' + (text ? '?url=' + encodeURIComponent(text) : ''), 303);
+    }
+
+    return caches.open(SHARE_CACHE).then(function(cache){
+      return cache.put(SHARED_IMAGE, new Response(image, {headers: {'Content-Type': image.type}}));
+    }).then(function(){
+      return Response.redirect('./index.html?shared', 303);
+    });
+  });
+}
+
+// 先读缓存，没有再走网络；同源的成功响应顺便存进缓存（如示例图 qrcode.jpg）
+function fromCache(request){
+  return caches.match(request, {ignoreSearch: request.mode === 'navigate'}).then(function(cached){
+    return cached || fetch(request).then(function(response){
+      if(response.ok && new URL(request.url).origin === location.origin){
+        var copy = response.clone();
+
+        caches.open(CACHE_NAME).then(function(cache){
+          cache.put(request, copy);
+        });
+      }
+
+      return response;
+    });
+  });
+}
+
+self.addEventListener('fetch', function(e){
+  var request = e.request;
+
+  if(request.method === 'POST' && new URL(request.url).searchParams.has('share-target')){
+    e.respondWith(receiveShare(request));
+    return;
+  }
+
+  if(request.method !== 'GET'){return;}
+
+  e.respondWith(fromCache(request));
+});
@@ -0,0 +1,134 @@
+// qrcode.cli.js 的输出和退出码：0 成功；1 没有识别到二维码或编码失败；2 参数错误；3 读写文件失败或图片格式不支持
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var spawnSync = require('child_process').spawnSync;
+var image = require('../JS/qrcode.image.js');
+var QRCode = require('../JS/qrcode.node.js');
+
+var CLI = path.join(__dirname, '..', 'JS', 'qrcode.cli.js');
+var FIXTURES = path.join(__dirname, 'fixtures');
+
+var tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'qrcode-test-'));
+
+test.after(function(){
+  fs.rmSync(tmp, {recursive: true, force: true});
+});
+
+function run(args, input){
+  var child = spawnSync(process.execPath, [CLI].concat(args), {input: input, encoding: 'utf8'});
+
+  return {code: child.status, stdout: child.stdout, stderr: child.stderr};
+}
+
+test('decode 成功时退出码为 0', function(){
+  var result = run(['decode', path.join(FIXTURES, 'qr.png')]);
+
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(result.stdout, 'qrcode fixture\n');
+
+  result = run(['decode', '--json', path.join(FIXTURES, 'qr-progressive.jpg'), path.join(FIXTURES, 'qr-interlaced.gif')]);
+
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(JSON.parse(result.stdout).map(function(item){
+    return item.results[0].data;
+  }), ['qrcode fixture', 'qrcode fixture']);
+});
+
+test('decode 从标准输入读取', function(){
+  var child = spawnSync(process.execPath, [CLI, 'decode', '-'], {input: fs.readFileSync(path.join(FIXTURES, 'qr.gif'))});
+
+  assert.strictEqual(child.status, 0);
+  assert.strictEqual(child.stdout.toString(), 'qrcode fixture\n');
+});
+
+test('decode --raw 读取 RGBA 数据', function(){
+  var pixels = image.readImage(fs.readFileSync(path.join(FIXTURES, 'qr.png')));
+  var file = path.join(tmp, 'qr.rgba');
+
+  fs.writeFileSync(file, Buffer.from(pixels.data.buffer));
+
+  assert.strictEqual(run(['decode', '--raw', '87x87', file]).code, 0);
+  assert.strictEqual(run(['decode', '--raw', '80x80', file]).code, 3);
+  assert.strictEqual(run(['decode', '--raw', 'big', file]).code, 2);
+});
+
+test('没有识别到二维码时退出码为 1', function(){
+  var file = path.join(tmp, 'blank.png');
+
+  fs.writeFileSync(file, image.writePNG(Buffer.alloc(40 * 40 * 3, 255), 40, 40));
+
+  var result = run(['decode', file]);
+
+  assert.strictEqual(result.code, 1);
+  assert.strictEqual(result.stdout, '');
+  assert.match(result.stderr, /no QR code found/);
+});
+
+test('内容超出容量时编码失败，退出码为 1', function(){
+  var result = run(['encode', 'x'.repeat(100), '-v', '1']);
+
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /encode failed/);
+});
+
+test('参数错误时退出码为 2', function(){
+  [
+    [],
+    ['scan'],
+    ['decode'],
+    ['decode', '--unknown', 'a.png'],
+    ['encode'],
+    ['encode', 'a', 'b'],
+    ['encode', 'x', '-l'],
+    ['encode', 'x', '-l', 'X'],
+    ['encode', 'x', '-v', '41'],
+    ['encode', 'x', '--version'],
+    ['encode', 'x', '--eci', '99'],
+    ['encode', 'x', '--eci', 'no-such-charset'],
+    ['encode', 'x', '--format', 'bmp'],
+    ['encode', 'x', '--module', '0'],
+    ['encode', 'x', '-o', path.join(tmp, 'x.png'), '--foreground', 'red']
+  ].forEach(function(args){
+    var result = run(args);
+
+    assert.strictEqual(result.code, 2, args.join(' ') + ': ' + result.stderr);
+    assert.match(result.stderr, /usage:/);
+  });
+});
+
+test('读写文件失败或格式不支持时退出码为 3', function(){
+  var text = path.join(tmp, 'text.txt');
+
+  fs.writeFileSync(text, 'not an image');
+
+  assert.strictEqual(run(['decode', path.join(tmp, 'missing.png')]).code, 3);
+  assert.strictEqual(run(['decode', text]).code, 3);
+  assert.strictEqual(run(['encode', 'x', '-o', path.join(tmp, 'missing', 'x.svg')]).code, 3);
+
+  // 部分文件读取失败时仍输出其余结果
+  var result = run(['decode', path.join(FIXTURES, 'qr.png'), text]);
+
+  assert.strictEqual(result.code, 3);
+  assert.match(result.stdout, /qrcode fixture/);
+});
+
+test('encode 输出 SVG / PNG / 终端字符', function(){
+  var png = path.join(tmp, 'out.png');
+  var svg = path.join(tmp, 'out.svg');
+
+  assert.strictEqual(run(['encode', 'cli round trip', '-o', png, '-l', 'h']).code, 0);
+  assert.strictEqual(QRCode.decodeFile(png).data, 'cli round trip');
+
+  // 同样的参数，SVG 和 PNG 尺寸一致
+  assert.strictEqual(run(['encode', 'cli round trip', '-o', svg, '-l', 'h']).code, 0);
+  assert.match(fs.readFileSync(svg, 'utf8'), /^<svg/);
+  assert.strictEqual(fs.readFileSync(svg, 'utf8').match(/ width="(\d+)"/)[1], String(image.readImage(fs.readFileSync(png)).width));
+
+  var result = run(['encode', '-', '--eci', 'utf-8'], 'stdin text\n');
+
+  assert.strictEqual(result.code, 0);
+  assert.match(result.stdout, /█/);
+});
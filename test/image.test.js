@@ -0,0 +1,145 @@
+// qrcode.image.js：各种格式的图片都要读出与 qr.png 相同（JPEG 在误差范围内）的像素，并能识别出二维码
+// 样本都是 87×87，3 像素一个模块，深色 #20306a、浅色 #fff8e0，内容 "qrcode fixture"
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var image = require('../JS/qrcode.image.js');
+var QRCode = require('../JS/qrcode.node.js');
+
+var TEXT = 'qrcode fixture';
+
+function read(name){
+  return image.readImage(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+}
+
+// 返回两张图 RGB 通道的最大差值和平均差值
+function compare(a, b){
+  var max = 0;
+  var sum = 0;
+  var count = 0;
+
+  assert.strictEqual(a.width, b.width);
+  assert.strictEqual(a.height, b.height);
+
+  for(var i = 0; i < a.data.length; i += 4){
+    for(var c = 0; c < 3; c++){
+      var diff = Math.abs(a.data[i + c] - b.data[i + c]);
+
+      max = Math.max(max, diff);
+      sum += diff;
+      count++;
+    }
+  }
+
+  return {max: max, mean: sum / count};
+}
+
+// 每个模块中心像素的深浅，按亮度 128 分界
+function getModules(pixels){
+  var modules = '';
+
+  for(var y = 1; y < pixels.height; y += 3){
+    for(var x = 1; x < pixels.width; x += 3){
+      var i = (y * pixels.width + x) * 4;
+
+      modules += pixels.data[i] * 0.299 + pixels.data[i + 1] * 0.587 + pixels.data[i + 2] * 0.114 < 128 ? '1' : '0';
+    }
+  }
+
+  return modules;
+}
+
+var reference = read('qr.png');
+
+test('qr.png 读出的尺寸和颜色', function(){
+  assert.strictEqual(reference.width, 87);
+  assert.strictEqual(reference.height, 87);
+  assert.ok(reference.data instanceof Uint8ClampedArray);
+  assert.deepStrictEqual(Array.from(reference.data.slice(0, 4)), [255, 248, 224, 255]);
+  assert.strictEqual(QRCode.decode(reference).data, TEXT);
+});
+
+['qr-interlaced.png', 'qr.gif', 'qr-interlaced.gif'].forEach(function(name){
+  test(name + ' 与 qr.png 像素完全相同', function(){
+    var pixels = read(name);
+
+    assert.strictEqual(compare(pixels, reference).max, 0);
+    assert.strictEqual(QRCode.decode(pixels).data, TEXT);
+  });
+});
+
+// 这两张是黑白的，颜色不同，只比较模块
+['qr-palette.png', 'qr-gray16.png'].forEach(function(name){
+  test(name + ' 与 qr.png 模块相同', function(){
+    var pixels = read(name);
+
+    assert.deepStrictEqual(getModules(pixels), getModules(reference));
+    assert.strictEqual(QRCode.decode(pixels).data, TEXT);
+  });
+});
+
+test('qr-interlaced.gif 确实是隔行存储的', function(){
+  var buffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'qr-interlaced.gif'));
+  var offset = buffer.indexOf(0x2c, 13);
+
+  assert.ok(buffer[offset + 9] & 0x40);
+});
+
+test('qr-alpha.png 透明背景按白底处理', function(){
+  var pixels = read('qr-alpha.png');
+
+  assert.strictEqual(pixels.data[3], 0);
+  assert.strictEqual(QRCode.decode(pixels).data, TEXT);
+});
+
+// 有损压缩，只要求平均误差在范围内，且每个模块中心的深浅与原图一致
+[
+  ['qr-baseline.jpg', 10],
+  ['qr-progressive.jpg', 10],
+  ['qr-progressive-444.jpg', 6]
+].forEach(function(item){
+  test(item[0] + ' 解码结果与原图相近', function(){
+    var pixels = read(item[0]);
+    var diff = compare(pixels, reference);
+
+    assert.strictEqual(QRCode.decode(pixels).data, TEXT);
+    assert.ok(diff.mean <= item[1], 'mean ' + diff.mean);
+    assert.deepStrictEqual(getModules(pixels), getModules(reference));
+  });
+});
+
+test('qr-gray.jpg 读出灰度像素', function(){
+  var pixels = read('qr-gray.jpg');
+
+  for(var i = 0; i < pixels.data.length; i += 4){
+    assert.ok(pixels.data[i] === pixels.data[i + 1] && pixels.data[i + 1] === pixels.data[i + 2]);
+  }
+
+  assert.strictEqual(QRCode.decode(pixels).data, TEXT);
+  assert.deepStrictEqual(getModules(pixels), getModules(reference));
+});
+
+test('逐行和渐进式 JPEG 解码结果相同', function(){
+  assert.strictEqual(compare(read('qr-baseline.jpg'), read('qr-progressive.jpg')).max, 0);
+});
+
+test('writePNG 写出的图片能原样读回', function(){
+  var rgb = Buffer.alloc(5 * 3 * 3);
+
+  for(var i = 0; i < rgb.length; i++){rgb[i] = i * 17 & 0xff;}
+
+  var pixels = image.readPNG(image.writePNG(rgb, 5, 3));
+
+  assert.strictEqual(pixels.width, 5);
+  assert.strictEqual(pixels.height, 3);
+
+  for(var p = 0; p < 15; p++){
+    assert.deepStrictEqual(Array.from(pixels.data.slice(p * 4, p * 4 + 4)), [rgb[p * 3], rgb[p * 3 + 1], rgb[p * 3 + 2], 255]);
+  }
+});
+
+test('不支持的格式和损坏的文件会抛出错误', function(){
+  assert.throws(function(){image.readImage(Buffer.from('not an image'));}, /unsupported image format/);
+  assert.throws(function(){image.readImage(fs.readFileSync(path.join(__dirname, 'fixtures', 'qr.png')).subarray(0, 60));});
+});
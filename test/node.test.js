@@ -0,0 +1,130 @@
+// qrcode.node.js：encode → toPNG / toSVG → decode 往返
+var test = require('node:test');
+var assert = require('node:assert');
+var QRCode = require('../JS/qrcode.node.js');
+
+test('encode → toPNG → decode 往返', function(){
+  ['hello', '0123456789', 'HELLO WORLD', '中文内容 ✓', 'https://example.com/?q=二维码&n=1'].forEach(function(text){
+    var png = QRCode.toPNG(QRCode.encode(text));
+
+    assert.strictEqual(QRCode.decode(png).data, text);
+  });
+});
+
+test('纠错等级和版本', function(){
+  ['L', 'M', 'Q', 'H'].forEach(function(level){
+    var encoder = QRCode.encode('level ' + level, {level: level, version: 7});
+
+    assert.strictEqual(encoder.getModuleCount(), 45);
+    assert.strictEqual(QRCode.decode(QRCode.toPNG(encoder, {moduleSize: 2})).data, 'level ' + level);
+  });
+
+  assert.throws(function(){QRCode.encode('x', {level: 'X'});}, /illegal error correction level/);
+});
+
+test('指定 ECI 后按该字符集编码', function(){
+  var result = QRCode.decode(QRCode.toPNG(QRCode.encode('こんにちは', {eci: 'shift_jis'})));
+
+  assert.strictEqual(result.data, 'こんにちは');
+  assert.strictEqual(QRCode.decode(QRCode.toPNG(QRCode.encode('café', {eci: 3}))).data, 'café');
+  assert.throws(function(){QRCode.encode('x', {eci: 99});}, /unsupported eci/);
+});
+
+test('toSVG 和 toPNG 默认尺寸一致', function(){
+  var encoder = QRCode.encode('same size');
+
+  [{}, {moduleSize: 1}, {moduleSize: 6, margin: 0}, {margin: 10}].forEach(function(options){
+    var svg = QRCode.toSVG(encoder, options);
+    var png = QRCode.readImage(QRCode.toPNG(encoder, options));
+
+    assert.strictEqual(svg.match(/<svg[^>]* width="(\d+)"/)[1], String(png.width));
+    assert.strictEqual(png.width, png.height);
+  });
+
+  // 默认 4 像素一个模块，四周留 4 个模块宽
+  assert.strictEqual(QRCode.readImage(QRCode.toPNG(encoder)).width, (encoder.getModuleCount() + 8) * 4);
+});
+
+test('toPNG 颜色', function(){
+  var pixels = QRCode.readImage(QRCode.toPNG(QRCode.encode('color'), {foreground: '#123', background: 'fedcba', margin: 0}));
+
+  // 左上角是定位图形的深色模块
+  assert.deepStrictEqual(Array.from(pixels.data.slice(0, 4)), [0x11, 0x22, 0x33, 255]);
+  assert.throws(function(){QRCode.toPNG(QRCode.encode('x'), {foreground: 'red'});}, /illegal color/);
+});
+
+// 不透明的纯色画布，gray 是灰度值
+function createCanvas(width, height, gray){
+  var data = new Uint8ClampedArray(width * height * 4).fill(255);
+
+  for(var i = 0; i < data.length; i += 4){
+    data[i] = data[i + 1] = data[i + 2] = gray;
+  }
+
+  return {data: data, width: width, height: height};
+}
+
+// 把 pixels 贴到 canvas 的 (left, top)，横向按 scaleX 拉伸（最近邻）
+function paste(canvas, pixels, left, top, scaleX){
+  var width = Math.round(pixels.width * (scaleX || 1));
+
+  for(var y = 0; y < pixels.height; y++){
+    for(var x = 0; x < width; x++){
+      var from = (y * pixels.width + Math.floor(x / (scaleX || 1))) * 4;
+
+      canvas.data.set(pixels.data.subarray(from, from + 4), ((top + y) * canvas.width + left + x) * 4);
+    }
+  }
+}
+
+function decodeTexts(canvas){
+  return QRCode.decode(canvas, {all: true}).map(function(result){
+    return result.data;
+  }).sort();
+}
+
+test('decode all 返回全部结果', function(){
+  var a = QRCode.readImage(QRCode.toPNG(QRCode.encode('first')));
+  var b = QRCode.readImage(QRCode.toPNG(QRCode.encode('second')));
+  var canvas = createCanvas(a.width + b.width, Math.max(a.height, b.height), 255);
+
+  paste(canvas, a, 0, 0);
+  paste(canvas, b, a.width, 0);
+
+  assert.deepStrictEqual(decodeTexts(canvas), ['first', 'second']);
+});
+
+// 清晰但被拉伸的码旁边有一张低对比度的码：低对比度的先被识别出来，不能因此漏掉清晰的那张
+test('decode all 清晰的码和低对比度的码并排', function(){
+  var canvas = createCanvas(800, 450, 255);
+  var pay = QRCode.readImage(QRCode.toPNG(QRCode.encode('pay://merchant/12345'), {moduleSize: 3}));
+  var invite = QRCode.readImage(QRCode.toPNG(QRCode.encode('https://group.example/invite/abc'), {
+    moduleSize: 4,
+    foreground: '#5a5a5a',
+    background: '#aaaaaa'
+  }));
+  var right = createCanvas(400, 450, 170);
+
+  paste(right, invite, (400 - invite.width) >> 1, (450 - invite.height) >> 1);
+
+  for(var y = 0; y < 450; y++){
+    canvas.data.set(right.data.subarray(y * 400 * 4, (y + 1) * 400 * 4), (y * 800 + 400) * 4);
+  }
+
+  paste(canvas, pay, (400 - Math.round(pay.width * 1.8)) >> 1, (450 - pay.height) >> 1, 1.8);
+
+  assert.deepStrictEqual(decodeTexts(canvas), ['https://group.example/invite/abc', 'pay://merchant/12345']);
+});
+
+test('非法图片数据', function(){
+  assert.throws(function(){QRCode.decode({data: new Uint8ClampedArray(4), width: 2, height: 2});}, /illegal image data/);
+});
+
+test('toTerminal', function(){
+  var encoder = QRCode.encode('terminal');
+  var lines = QRCode.toTerminal(encoder).trim().split('\n');
+
+  // 默认留白 2 个模块，每行字符表示两行模块
+  assert.strictEqual(lines[0].length, encoder.getModuleCount() + 4);
+  assert.strictEqual(lines.length, Math.ceil((encoder.getModuleCount() + 4) / 2));
+});